@@ -9,18 +9,53 @@ import {
     checkDateAndResetIfNeeded,
     getCategories,
     getCategoryForDomain,
+    getCategoryForUrl,
+    getUrlRules,
+    addUrlRule,
+    removeUrlRule,
+    getKeywordRules,
+    addKeywordRule,
+    removeKeywordRule,
+    isLooseningRule,
+    isLooseningRuleRemoval,
+    getSettings,
+    updateSettings,
     performDailyReset,
     cleanupOldData,
     formatTime,
-    matchDomain,
     addDomainTime,
     checkDomainLimit,
     getDomainLimits,
     setDomainLimit,
+    checkChannelLimit,
+    getChannelLimits,
+    setChannelLimit,
+    isLooseningChannelLimit,
+    getForbiddenWindows,
+    getCategoryDescendants,
+    getVideoFilterSettings,
     getTodayStats,
     getWeekStats,
     getMonthStats,
     getPendingTimeUpdates,
+    getTimeBank,
+    spendBankedTime,
+    getExtensionLog,
+    getLockStatus,
+    checkSettingsLock,
+    unlockSettings,
+    lockSettings,
+    setLockPin,
+    saveCategory,
+    isLooseningCategorySave,
+    deleteCategory,
+    isLooseningDomainLimit,
+    saveSettingsSection,
+    isLooseningSettingsSection,
+    getPendingChanges,
+    cancelPendingChange,
+    setCommitmentSettings,
+    applyDuePendingChanges,
     flushPendingTimeUpdates
 } from './utils/storage.js';
 
@@ -31,6 +66,10 @@ import {
     endSession,
     addEffectiveTime,
     getCategoryStatus,
+    getGlobalStatus,
+    getExtensionStatus,
+    requestExtension,
+    completeExtension,
     checkRestPeriods
 } from './utils/sessionManager.js';
 
@@ -40,10 +79,16 @@ import {
 
 let lastDateKey = getTodayKey();
 
-// Track active tabs per category to prevent duplicate time counting
-// Map<categoryKey, { tabId, lastActivity }>
+// Track active tab frames per category to prevent duplicate time counting
+// (content.js runs in every frame, so an embedded player is a separate frame of the same tab)
+// Map<categoryKey, { tabId, frameId, lastActivity }>
 const activeTabsPerCategory = new Map();
 
+// Category each tab frame registered with, so broadcasts reach pages that URL or keyword rules
+// put into a category whose domains don't list their host
+// Map<tabId, Map<frameId, categoryKey>>
+const tabFrameCategories = new Map();
+
 // Tab coordination thresholds
 const TAB_STALE_THRESHOLD_REGISTER = 30000;  // 30 seconds for tab registration
 const TAB_STALE_THRESHOLD_ACTIVITY = 10000;  // 10 seconds for activity reports
@@ -54,17 +99,36 @@ const TAB_STALE_THRESHOLD_ACTIVITY = 10000;  // 10 seconds for activity reports
 // =====================
 
 const CONTENT_SCRIPT_ID = 'time-tracker-content';
+// siteAdapters.js must load first: content.js uses its globals
+const CONTENT_SCRIPT_FILES = ['siteAdapters.js', 'content.js'];
 
-function buildMatchPatterns(categories) {
+/**
+ * Hosts to inject into: every category domain, plus the domains of URL and keyword rules that
+ * route or block pages (those may live outside any category's domain list)
+ */
+function buildMatchPatterns(categories, urlRules = [], keywordRules = []) {
     const patterns = new Set();
+    const addDomain = (domain) => {
+        const clean = domain.toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '').replace(/\/+$/, '');
+        if (!clean) return;
+        patterns.add(`*://*.${clean}/*`);
+        patterns.add(`*://${clean}/*`);
+    };
 
     for (const category of Object.values(categories)) {
         if (!category.domains) continue;
-        for (const domain of category.domains) {
-            const clean = domain.toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '').replace(/\/+$/, '');
-            if (!clean) continue;
-            patterns.add(`*://*.${clean}/*`);
-            patterns.add(`*://${clean}/*`);
+        category.domains.forEach(addDomain);
+    }
+
+    for (const rule of urlRules) {
+        if (rule?.domain && rule.enabled !== false && rule.action === 'category' && categories[rule.category]) {
+            addDomain(rule.domain);
+        }
+    }
+
+    for (const rule of keywordRules) {
+        if (rule?.domain && rule.enabled !== false && rule.action !== 'exempt') {
+            addDomain(rule.domain);
         }
     }
 
@@ -73,7 +137,7 @@ function buildMatchPatterns(categories) {
 
 async function registerDynamicContentScripts() {
     const categories = await getCategories();
-    const matches = buildMatchPatterns(categories);
+    const matches = buildMatchPatterns(categories, await getUrlRules(), await getKeywordRules());
 
     if (matches.length === 0) {
         try {
@@ -90,6 +154,7 @@ async function registerDynamicContentScripts() {
             await chrome.scripting.updateContentScripts([{
                 id: CONTENT_SCRIPT_ID,
                 matches,
+                js: CONTENT_SCRIPT_FILES
             }]);
             console.log('[ContentScript] Updated dynamic registration with', matches.length, 'patterns');
         } catch (e) {
@@ -102,7 +167,7 @@ async function registerDynamicContentScripts() {
         await chrome.scripting.registerContentScripts([{
             id: CONTENT_SCRIPT_ID,
             matches,
-            js: ['content.js'],
+            js: CONTENT_SCRIPT_FILES,
             css: ['overlay.css'],
             runAt: 'document_idle',
             allFrames: true,
@@ -120,7 +185,7 @@ async function registerDynamicContentScripts() {
 }
 
 chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === 'local' && changes.categories) {
+    if (areaName === 'local' && (changes.categories || changes.urlRules || changes.keywordRules)) {
         registerDynamicContentScripts();
     }
 });
@@ -186,6 +251,11 @@ async function setupAlarms() {
     chrome.alarms.create('flushPendingData', {
         periodInMinutes: 1
     });
+
+    // Apply commitment-mode changes whose delay has passed
+    chrome.alarms.create('applyPendingChanges', {
+        periodInMinutes: 1
+    });
 }
 
 function getMidnightTimestamp() {
@@ -212,6 +282,9 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
         case 'flushPendingData':
             await flushPendingTimeUpdates();
             break;
+        case 'applyPendingChanges':
+            await handleApplyPendingChanges();
+            break;
     }
 });
 
@@ -250,29 +323,36 @@ async function handleCheckRestPeriods() {
     }
 }
 
+/**
+ * Apply due commitment-mode changes; loosened categories' blocked tabs re-check their access
+ */
+async function handleApplyPendingChanges() {
+    const applied = await applyDuePendingChanges();
+    // Website, channel and global limits and rules can sit under any category
+    const categoryKeys = applied.some(change => !change.categoryKey)
+        ? Object.keys(await getCategories())
+        : [...new Set(applied.map(change => change.categoryKey).filter(Boolean))];
+
+    if (categoryKeys.length > 0) {
+        await broadcastLimitExtended(categoryKeys);
+    }
+}
+
 async function broadcastForbiddenPeriodStatus() {
     const categories = await getCategories();
 
-    for (const [categoryKey, category] of Object.entries(categories)) {
+    for (const categoryKey of Object.keys(categories)) {
         const access = await canAccessCategory(categoryKey);
 
         if (!access.allowed && access.reason === 'forbidden_period') {
-            // Notify tabs with this category's domains
-            const tabs = await chrome.tabs.query({});
-            for (const tab of tabs) {
-                if (!tab.url) continue;
-
+            // Notify tabs tracking this category
+            for (const tabId of getTabsForCategory(categoryKey)) {
                 try {
-                    const url = new URL(tab.url);
-                    const domain = url.hostname.replace(/^www\./, '');
-
-                    if (category.domains.some(d => matchDomain(domain, d))) {
-                        await chrome.tabs.sendMessage(tab.id, {
-                            type: 'FORBIDDEN_PERIOD_ACTIVE',
-                            category: categoryKey,
-                            ...access
-                        });
-                    }
+                    await chrome.tabs.sendMessage(tabId, {
+                        type: 'FORBIDDEN_PERIOD_ACTIVE',
+                        category: categoryKey,
+                        ...access
+                    });
                 } catch (e) {
                     // Tab might not have content script
                 }
@@ -301,9 +381,15 @@ const DATE_SENSITIVE_MESSAGES = new Set([
     'START_SESSION',
     'GET_STATUS',
     'GET_ALL_STATUS',
+    'GET_GLOBAL_STATUS',
     'GET_TODAY_STATS',
     'GET_WEEK_STATS',
-    'GET_MONTH_STATS'
+    'GET_MONTH_STATS',
+    'GET_TIME_BANK',
+    'SPEND_BANKED_TIME',
+    'GET_EXTENSION_STATUS',
+    'REQUEST_EXTENSION',
+    'COMPLETE_EXTENSION'
 ]);
 
 async function handleMessage(message, sender) {
@@ -317,6 +403,20 @@ async function handleMessage(message, sender) {
             case 'GET_CATEGORY_FOR_DOMAIN':
                 return await getCategoryForDomain(message.domain);
 
+            case 'GET_CATEGORY_FOR_URL':
+                return await getCategoryForUrl(message.url, message.channel, message.page);
+
+            case 'GET_VIDEO_FILTERS':
+                return await getVideoFilterSettings(message.categoryKey);
+
+            case 'GET_SITE_ADAPTERS':
+                return (await getSettings()).siteAdapters || [];
+
+            case 'SAVE_SITE_ADAPTERS':
+                // An adapter can mark any element as an ad or player, which changes what counts
+                return await checkSettingsLock(true) ??
+                    { success: true, adapters: (await updateSettings({ siteAdapters: message.adapters })).siteAdapters };
+
             case 'CAN_ACCESS':
                 return await canAccessCategory(message.categoryKey);
 
@@ -327,7 +427,7 @@ async function handleMessage(message, sender) {
                 return await endSession(message.categoryKey, message.triggerRest);
 
             case 'ADD_TIME':
-                return await handleAddTime(message.categoryKey, message.domain, message.seconds, sender);
+                return await handleAddTime(message.categoryKey, message.domain, message.seconds, sender, message.metrics, message.channel);
 
             case 'GET_STATUS':
                 return await getCategoryStatus(message.categoryKey);
@@ -335,9 +435,16 @@ async function handleMessage(message, sender) {
             case 'GET_ALL_STATUS':
                 return await getAllCategoryStatus();
 
+            case 'GET_GLOBAL_STATUS':
+                return await getGlobalStatus();
+
             case 'CHECK_DATE':
                 return await checkDateChange();
 
+            // Forbidden period messages
+            case 'PREVIEW_FORBIDDEN_PERIODS':
+                return getForbiddenWindows(message.periods, message.from, message.to);
+
             // Tab coordination messages
             case 'REGISTER_TAB':
                 return handleRegisterTab(message.categoryKey, sender);
@@ -351,6 +458,25 @@ async function handleMessage(message, sender) {
             case 'IS_ACTIVE_TAB':
                 return isActiveTabForCategory(message.categoryKey, sender);
 
+            // Frame coordination messages
+            case 'PING_TOP_FRAME':
+                return await relayToTopFrame({ type: 'FRAME_PING' }, sender) || { tracking: false };
+
+            case 'FRAME_MEDIA_ACTIVITY':
+                return await relayToTopFrame({
+                    type: 'FRAME_MEDIA_ACTIVITY',
+                    seconds: message.seconds,
+                    contentSeconds: message.contentSeconds,
+                    adSeconds: message.adSeconds,
+                    frameId: sender?.frameId
+                }, sender) || { accepted: false };
+
+            case 'GET_ACTIVITY_STATE':
+                return await getActivityStateForTab(sender?.tab);
+
+            case 'NOTIFY_FRAMES':
+                return await notifyChildFrames(message.blocked, sender);
+
             // Statistics messages
             case 'GET_TODAY_STATS':
                 return await getTodayStats();
@@ -366,11 +492,92 @@ async function handleMessage(message, sender) {
                 return await getDomainLimits();
 
             case 'SET_DOMAIN_LIMIT':
-                return await setDomainLimit(message.domain, message.dailyLimit);
+                return await checkSettingsLock(await isLooseningDomainLimit(message.domain, message.dailyLimit)) ??
+                    await setDomainLimit(message.domain, message.dailyLimit);
 
             case 'CHECK_DOMAIN_LIMIT':
                 return await checkDomainLimit(message.domain);
 
+            // Channel limit messages
+            case 'GET_CHANNEL_LIMITS':
+                return await getChannelLimits();
+
+            case 'SET_CHANNEL_LIMIT':
+                return await checkSettingsLock(await isLooseningChannelLimit(message.domain, message.channel, message.dailyLimit)) ??
+                    await setChannelLimit(message.domain, message.channel, message.dailyLimit);
+
+            case 'CHECK_CHANNEL_LIMIT':
+                return await checkChannelLimit(message.domain, message.channel);
+
+            // Time bank messages
+            case 'GET_TIME_BANK':
+                return await getTimeBank();
+
+            case 'SPEND_BANKED_TIME':
+                return await handleSpendBankedTime(message.categoryKey, message.seconds);
+
+            // Limit extension messages
+            case 'GET_EXTENSION_STATUS':
+                return await getExtensionStatus(message.categoryKey, message.limitReason);
+
+            case 'REQUEST_EXTENSION':
+                return await requestExtension(message.categoryKey, message.limitReason);
+
+            case 'COMPLETE_EXTENSION':
+                return await handleCompleteExtension(message.challengeId, message.response, message.reason);
+
+            case 'GET_EXTENSION_LOG':
+                return await getExtensionLog();
+
+            // Settings lock messages
+            case 'GET_LOCK_STATUS':
+                return await getLockStatus();
+
+            case 'UNLOCK_SETTINGS':
+                return await unlockSettings(message.pin);
+
+            case 'LOCK_SETTINGS':
+                await lockSettings();
+                return { success: true };
+
+            case 'SET_LOCK_PIN':
+                return await setLockPin(message.pin ?? null);
+
+            // Category edits and commitment mode (loosening changes are queued)
+            case 'SAVE_CATEGORY':
+                return await checkSettingsLock(await isLooseningCategorySave(message.categoryKey, message.category)) ??
+                    await saveCategory(message.categoryKey, message.category);
+
+            case 'DELETE_CATEGORY':
+                return await checkSettingsLock(true) ?? await deleteCategory(message.categoryKey);
+
+            case 'ADD_URL_RULE':
+                return await checkSettingsLock(isLooseningRule(message.rule)) ?? await addUrlRule(message.rule);
+
+            case 'ADD_KEYWORD_RULE':
+                return await checkSettingsLock(isLooseningRule(message.rule)) ?? await addKeywordRule(message.rule);
+
+            case 'REMOVE_URL_RULE':
+                return await checkSettingsLock(isLooseningRuleRemoval((await getUrlRules()).find(rule => rule.id === message.ruleId))) ??
+                    await removeUrlRule(message.ruleId);
+
+            case 'REMOVE_KEYWORD_RULE':
+                return await checkSettingsLock(isLooseningRuleRemoval((await getKeywordRules()).find(rule => rule.id === message.ruleId))) ??
+                    await removeKeywordRule(message.ruleId);
+
+            case 'SAVE_SETTINGS_SECTION':
+                return await checkSettingsLock(await isLooseningSettingsSection(message.section, message.values)) ??
+                    await saveSettingsSection(message.section, message.values);
+
+            case 'GET_PENDING_CHANGES':
+                return await getPendingChanges();
+
+            case 'CANCEL_PENDING_CHANGE':
+                return await cancelPendingChange(message.id);
+
+            case 'SET_COMMITMENT_SETTINGS':
+                return await setCommitmentSettings(message.commitment);
+
             case 'GET_PENDING_TIME':
                 return getPendingTimeUpdates();
 
@@ -387,21 +594,22 @@ async function handleMessage(message, sender) {
     }
 }
 
-async function handleAddTime(categoryKey, domain, seconds, sender) {
+async function handleAddTime(categoryKey, domain, seconds, sender, metrics, channel) {
     try {
-        const tabId = sender?.tab?.id;
+        const { tabId, frameId } = getSenderFrame(sender);
 
-        // Check if this tab is the active tab for this category
-        // Only count time from the active tab to prevent duplicate counting
+        // Check if this frame is the active one for this category
+        // Only count time from the active frame to prevent duplicate counting
         const isCurrentTabActive = isActiveTabForCategory(categoryKey, sender).isActive;
 
         if (tabId && !isCurrentTabActive) {
-            // This tab is not the active one, check if it should become active
+            // This frame is not the active one, check if it should become active
             const activeTab = activeTabsPerCategory.get(categoryKey);
             if (!activeTab) {
-                // No active tab registered, make this one active
+                // No active frame registered, make this one active
                 activeTabsPerCategory.set(categoryKey, {
                     tabId,
+                    frameId,
                     lastActivity: Date.now()
                 });
             } else {
@@ -411,10 +619,11 @@ async function handleAddTime(categoryKey, domain, seconds, sender) {
             }
         }
 
-        // Update last activity time for this tab
+        // Update last activity time for this frame
         if (tabId) {
             activeTabsPerCategory.set(categoryKey, {
                 tabId,
+                frameId,
                 lastActivity: Date.now()
             });
         }
@@ -432,19 +641,44 @@ async function handleAddTime(categoryKey, domain, seconds, sender) {
                     used: domainCheck.used
                 };
             }
+
+            const channelCheck = await checkChannelLimit(domain, channel);
+            if (channelCheck && !channelCheck.allowed) {
+                return {
+                    allowed: false,
+                    reason: 'channel_limit',
+                    domain,
+                    channel,
+                    limit: channelCheck.limit,
+                    used: channelCheck.used
+                };
+            }
         }
 
         // addEffectiveTime handles capping at daily/session limits — don't cap here too
-        const result = await addEffectiveTime(categoryKey, seconds);
+        const result = await addEffectiveTime(categoryKey, seconds, metrics);
 
-        // Track domain time using the capped amount that was actually added
+        // Track domain (and channel) time using the capped amount that was actually added
         if (domain && result.timeAdded) {
-            await addDomainTime(categoryKey, domain, result.timeAdded);
+            await addDomainTime(categoryKey, domain, result.timeAdded, channel);
         }
 
-        // If limit was reached, broadcast to all tabs with this category
+        // If limit was reached, broadcast to all tabs with this category (every category for global/group limits)
         if (!result.allowed) {
-            await broadcastLimitReached(categoryKey, result);
+            if (result.global) {
+                const categories = await getCategories();
+                for (const [key, category] of Object.entries(categories)) {
+                    if (category.enabled) await broadcastLimitReached(key, result);
+                }
+            } else if (result.group) {
+                // A group limit blocks every category in the group
+                const categories = await getCategories();
+                for (const key of getCategoryDescendants(categories, result.group)) {
+                    await broadcastLimitReached(key, result);
+                }
+            } else {
+                await broadcastLimitReached(categoryKey, result);
+            }
         }
 
         // Update badge
@@ -462,86 +696,131 @@ async function handleAddTime(categoryKey, domain, seconds, sender) {
 // =====================
 
 /**
- * Register a tab as tracking a category
- * If another tab is already active for this category, this tab won't count time
+ * Identify the frame a message came from. frameId 0 is the top frame.
+ */
+function getSenderFrame(sender) {
+    return {
+        tabId: sender?.tab?.id,
+        frameId: sender?.frameId ?? 0
+    };
+}
+
+function isSameFrame(entry, tabId, frameId) {
+    return !!entry && entry.tabId === tabId && (entry.frameId ?? 0) === frameId;
+}
+
+function recordFrameCategory(tabId, frameId, categoryKey) {
+    if (!tabFrameCategories.has(tabId)) tabFrameCategories.set(tabId, new Map());
+    tabFrameCategories.get(tabId).set(frameId, categoryKey);
+}
+
+function forgetFrameCategory(tabId, frameId, categoryKey) {
+    const frames = tabFrameCategories.get(tabId);
+    if (frames?.get(frameId) !== categoryKey) return;
+    frames.delete(frameId);
+    if (frames.size === 0) tabFrameCategories.delete(tabId);
+}
+
+/**
+ * Tabs with a frame registered for a category
+ */
+function getTabsForCategory(categoryKey) {
+    const tabIds = [];
+    for (const [tabId, frames] of tabFrameCategories.entries()) {
+        if ([...frames.values()].includes(categoryKey)) tabIds.push(tabId);
+    }
+    return tabIds;
+}
+
+/**
+ * Register a tab frame as tracking a category
+ * If another frame is already active for this category, this frame won't count time
  */
 function handleRegisterTab(categoryKey, sender) {
-    const tabId = sender?.tab?.id;
+    const { tabId, frameId } = getSenderFrame(sender);
     if (!tabId) return { success: false, reason: 'no_tab_id' };
 
+    recordFrameCategory(tabId, frameId, categoryKey);
     const existing = activeTabsPerCategory.get(categoryKey);
 
     if (!existing) {
-        // No tab registered yet, this becomes the active tab
+        // No frame registered yet, this becomes the active one
         activeTabsPerCategory.set(categoryKey, {
             tabId,
+            frameId,
             lastActivity: Date.now()
         });
-        console.log(`[TabCoord] Tab ${tabId} registered as active for ${categoryKey}`);
+        console.log(`[TabCoord] Tab ${tabId} frame ${frameId} registered as active for ${categoryKey}`);
         return { success: true, isActive: true };
     }
 
-    if (existing.tabId === tabId) {
-        // Same tab re-registering
+    if (isSameFrame(existing, tabId, frameId)) {
+        // Same frame re-registering
         existing.lastActivity = Date.now();
         return { success: true, isActive: true };
     }
 
-    // Another tab is active - check if it's stale
+    // Another frame is active - check if it's stale
     if (Date.now() - existing.lastActivity > TAB_STALE_THRESHOLD_REGISTER) {
-        // Take over as active tab
+        // Take over as active frame
         activeTabsPerCategory.set(categoryKey, {
             tabId,
+            frameId,
             lastActivity: Date.now()
         });
-        console.log(`[TabCoord] Tab ${tabId} took over as active for ${categoryKey} (previous was stale)`);
+        console.log(`[TabCoord] Tab ${tabId} frame ${frameId} took over as active for ${categoryKey} (previous was stale)`);
         return { success: true, isActive: true };
     }
 
-    // Another tab is active and not stale
-    console.log(`[TabCoord] Tab ${tabId} registered as inactive for ${categoryKey} (tab ${existing.tabId} is active)`);
+    // Another frame is active and not stale
+    console.log(`[TabCoord] Tab ${tabId} frame ${frameId} registered as inactive for ${categoryKey} (tab ${existing.tabId} frame ${existing.frameId} is active)`);
     return { success: true, isActive: false };
 }
 
 /**
- * Unregister a tab from tracking
+ * Unregister a tab frame from tracking
  */
 function handleUnregisterTab(categoryKey, sender) {
-    const tabId = sender?.tab?.id;
+    const { tabId, frameId } = getSenderFrame(sender);
     if (!tabId) return { success: false };
 
+    forgetFrameCategory(tabId, frameId, categoryKey);
     const existing = activeTabsPerCategory.get(categoryKey);
-    if (existing && existing.tabId === tabId) {
+    if (isSameFrame(existing, tabId, frameId)) {
         activeTabsPerCategory.delete(categoryKey);
-        console.log(`[TabCoord] Tab ${tabId} unregistered from ${categoryKey}`);
+        console.log(`[TabCoord] Tab ${tabId} frame ${frameId} unregistered from ${categoryKey}`);
     }
 
     return { success: true };
 }
 
 /**
- * Report activity from a tab - used to determine which tab should be active
+ * Report activity from a tab frame - used to determine which frame should be active
  */
 function handleReportActivity(categoryKey, isActive, sender) {
-    const tabId = sender?.tab?.id;
+    const { tabId, frameId } = getSenderFrame(sender);
     if (!tabId) return { success: false };
 
+    // Activity reports re-register frames the service worker forgot when it restarted
+    recordFrameCategory(tabId, frameId, categoryKey);
     const existing = activeTabsPerCategory.get(categoryKey);
 
     if (isActive) {
-        if (!existing || existing.tabId === tabId) {
-            // This tab is active or becomes active
+        if (!existing || isSameFrame(existing, tabId, frameId)) {
+            // This frame is active or becomes active
             activeTabsPerCategory.set(categoryKey, {
                 tabId,
+                frameId,
                 lastActivity: Date.now()
             });
             return { success: true, isActive: true };
         }
 
-        // Another tab is active, check if stale
+        // Another frame is active, check if stale
         if (Date.now() - existing.lastActivity > TAB_STALE_THRESHOLD_ACTIVITY) {
             activeTabsPerCategory.set(categoryKey, {
                 tabId,
+                frameId,
                 lastActivity: Date.now()
             });
             return { success: true, isActive: true };
@@ -550,24 +829,25 @@ function handleReportActivity(categoryKey, isActive, sender) {
         return { success: true, isActive: false };
     }
 
-    return { success: true, isActive: existing?.tabId === tabId };
+    return { success: true, isActive: isSameFrame(existing, tabId, frameId) };
 }
 
 /**
- * Check if a tab is the active tab for a category
+ * Check if a tab frame is the active one for a category
  */
 function isActiveTabForCategory(categoryKey, sender) {
-    const tabId = sender?.tab?.id;
+    const { tabId, frameId } = getSenderFrame(sender);
     if (!tabId) return { isActive: false };
 
     const existing = activeTabsPerCategory.get(categoryKey);
-    return { isActive: existing?.tabId === tabId };
+    return { isActive: isSameFrame(existing, tabId, frameId) };
 }
 
 /**
  * Clean up when a tab is closed
  */
 function handleTabClosed(tabId) {
+    tabFrameCategories.delete(tabId);
     for (const [categoryKey, data] of activeTabsPerCategory.entries()) {
         if (data.tabId === tabId) {
             activeTabsPerCategory.delete(categoryKey);
@@ -576,6 +856,43 @@ function handleTabClosed(tabId) {
     }
 }
 
+// =====================
+// Frame Coordination
+// =====================
+
+/**
+ * Forward a message from a child frame to the top frame of the same tab.
+ * Returns null when the top frame has no content script (untracked host page).
+ */
+async function relayToTopFrame(message, sender) {
+    const tabId = sender?.tab?.id;
+    if (!tabId) return null;
+
+    try {
+        return await chrome.tabs.sendMessage(tabId, message, { frameId: 0 }) || null;
+    } catch (e) {
+        // Top frame has no content script
+        return null;
+    }
+}
+
+/**
+ * Tell every frame of the sender's tab whether the top frame is blocked,
+ * so child frames pause or resume their embedded players
+ */
+async function notifyChildFrames(blocked, sender) {
+    const { tabId, frameId } = getSenderFrame(sender);
+    if (!tabId || frameId !== 0) return { success: false };
+
+    try {
+        await chrome.tabs.sendMessage(tabId, { type: 'TOP_FRAME_STATE', blocked: !!blocked });
+    } catch (e) {
+        // No child frames with content script
+    }
+
+    return { success: true };
+}
+
 // Listen for tab close events
 chrome.tabs.onRemoved.addListener((tabId) => {
     handleTabClosed(tabId);
@@ -587,9 +904,7 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
         const tab = await chrome.tabs.get(activeInfo.tabId);
         if (!tab.url) return;
 
-        const url = new URL(tab.url);
-        const domain = url.hostname.replace(/^www\./, '');
-        const category = await getCategoryForDomain(domain);
+        const category = await getCategoryForUrl(tab.url);
 
         if (category) {
             // User switched to a tab with a tracked category
@@ -607,28 +922,121 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
     }
 });
 
-async function broadcastLimitReached(categoryKey, result) {
-    const categories = await getCategories();
-    const category = categories[categoryKey];
+// =====================
+// Activity State (OS idle + window focus)
+// =====================
+
+// Seconds without OS input before chrome.idle reports 'idle' (minimum allowed is 15)
+const IDLE_DETECTION_SECONDS = 60;
 
-    if (!category) return;
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
 
+/**
+ * Activity state as seen by one tab: OS idle state ('active' | 'idle' | 'locked')
+ * and whether the tab's window has focus. Queried on demand so it survives service worker restarts.
+ */
+async function getActivityStateForTab(tab) {
+    const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+    let windowFocused = true;
+    try {
+        const focusedWindow = await chrome.windows.getLastFocused();
+        windowFocused = !!focusedWindow?.focused && (!tab || tab.windowId === focusedWindow.id);
+    } catch (e) {
+        // No windows (e.g. all minimized) - keep default
+    }
+    return { idleState, windowFocused };
+}
+
+/**
+ * Push the current activity state to every tab's content scripts (all frames)
+ * @param {string} idleState
+ * @param {number} focusedWindowId - chrome.windows.WINDOW_ID_NONE when no browser window has focus
+ */
+async function broadcastActivityState(idleState, focusedWindowId) {
     const tabs = await chrome.tabs.query({});
 
     for (const tab of tabs) {
-        if (!tab.url) continue;
+        if (!tab.url?.startsWith('http')) continue;
 
         try {
-            const url = new URL(tab.url);
-            const domain = url.hostname.replace(/^www\./, '');
+            await chrome.tabs.sendMessage(tab.id, {
+                type: 'ACTIVITY_STATE',
+                idleState,
+                windowFocused: tab.windowId === focusedWindowId
+            });
+        } catch (e) {
+            // Tab might not have content script
+        }
+    }
+}
 
-            if (category.domains.some(d => matchDomain(domain, d))) {
-                await chrome.tabs.sendMessage(tab.id, {
-                    type: 'LIMIT_REACHED',
-                    category: categoryKey,
-                    ...result
-                });
-            }
+async function getFocusedWindowId() {
+    try {
+        const focusedWindow = await chrome.windows.getLastFocused();
+        return focusedWindow?.focused ? focusedWindow.id : chrome.windows.WINDOW_ID_NONE;
+    } catch (e) {
+        return chrome.windows.WINDOW_ID_NONE;
+    }
+}
+
+chrome.idle.onStateChanged.addListener(async (idleState) => {
+    console.log(`[Activity] System state: ${idleState}`);
+    await broadcastActivityState(idleState, await getFocusedWindowId());
+});
+
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+    await broadcastActivityState(idleState, windowId);
+});
+
+/**
+ * Spend banked time on a category and let its blocked tabs back in
+ */
+async function handleSpendBankedTime(categoryKey, seconds) {
+    const result = await spendBankedTime(categoryKey, seconds);
+
+    if (result.success) {
+        await broadcastLimitExtended([categoryKey]);
+    }
+
+    return result;
+}
+
+/**
+ * Grant an extension requested from the overlay and let the category's blocked tabs back in
+ */
+async function handleCompleteExtension(challengeId, response, reason) {
+    const result = await completeExtension(challengeId, response, reason);
+
+    if (result.success) {
+        await broadcastLimitExtended([result.categoryKey]);
+    }
+
+    return result;
+}
+
+async function broadcastLimitExtended(categoryKeys) {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        try {
+            await chrome.tabs.sendMessage(tab.id, {
+                type: 'LIMIT_EXTENDED',
+                categories: categoryKeys
+            });
+        } catch (e) {
+            // Tab might not have content script
+        }
+    }
+}
+
+async function broadcastLimitReached(categoryKey, result) {
+    for (const tabId of getTabsForCategory(categoryKey)) {
+        try {
+            await chrome.tabs.sendMessage(tabId, {
+                type: 'LIMIT_REACHED',
+                category: categoryKey,
+                ...result
+            });
         } catch (e) {
             // Tab might not have content script
         }
@@ -661,10 +1069,22 @@ async function checkDateChange() {
 // Badge Management
 // =====================
 
+// Global screen-time badge: purple, and shown once less than this much is left today
+const GLOBAL_BADGE_COLOR = '#9C27B0';
+const GLOBAL_WARNING_SECONDS = 900;
+
 async function updateBadge(categoryKey, status) {
     if (!status.allowed) {
         chrome.action.setBadgeText({ text: '!' });
-        chrome.action.setBadgeBackgroundColor({ color: '#F44336' });
+        chrome.action.setBadgeBackgroundColor({ color: status.global ? GLOBAL_BADGE_COLOR : '#F44336' });
+        return;
+    }
+
+    if (status.globalRemaining != null && status.globalRemaining <= GLOBAL_WARNING_SECONDS &&
+        !(status.sessionRemaining && status.sessionRemaining < status.globalRemaining)) {
+        const minutes = Math.ceil(status.globalRemaining / 60);
+        chrome.action.setBadgeText({ text: `${minutes}` });
+        chrome.action.setBadgeBackgroundColor({ color: GLOBAL_BADGE_COLOR });
         return;
     }
 
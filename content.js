@@ -18,8 +18,17 @@ function i18n(key, ...subs) {
 let currentCategory = null;
 let currentCategoryKey = null;
 let currentDomain = null;  // Current domain being tracked
+let siteAdapter = null;  // Site adapter for the current domain (siteAdapters.js), null = generic detection
+let currentChannel = null;  // { id, name } of the channel/creator on the page, from the site adapter
+let videoFilters = null;  // Which videos count for the current category, from the background (video categories only)
+let currentPageSignature = null;  // Title/metadata the category was last resolved with (keyword rules)
+let pageWatchInterval = null;  // Polls the page's channel and title; SPAs swap them without a URL change we can rely on
 let detector = null;
 let isBlocked = false;
+let blockedReason = null;  // Reason of the overlay currently shown
+
+// Blocks that follow the page itself (its title or channel) rather than the category's budget
+const PAGE_BLOCK_REASONS = ['keyword_blocked', 'channel_blocked', 'channel_limit'];
 let overlayElement = null;
 let isActiveTab = false;  // Track if this tab is the active one for the category
 let countdownInterval = null;
@@ -27,6 +36,16 @@ let contextInvalidated = false;  // Track if extension context is invalidated
 let messageListenerAdded = false;  // Track if message listener is added to prevent duplicates
 let mediaSuppressInterval = null;  // Periodic interval to keep media paused while blocked
 let mediaSuppressObserver = null;  // MutationObserver to catch dynamically added media elements
+let navigationObserverActive = false;  // History hooks are installed once per page
+
+// Frame coordination: content.js runs in every frame of a tracked page.
+// The top frame owns the overlay and session; child frames relay media activity to it.
+const isTopFrame = window === window.top;
+let topFrameTracking = false;  // Child frames only: top frame is tracking this page, so defer to it
+let framesNotifiedBlocked = null;  // Top frame only: state last sent to child frames (null = nothing sent yet)
+
+// OS idle state ('active' | 'idle' | 'locked') and window focus, pushed by background (chrome.idle / chrome.windows)
+let activityState = { idleState: 'active', windowFocused: true };
 
 /**
  * Handle extension context invalidation (happens when extension is reloaded)
@@ -39,6 +58,7 @@ function handleContextInvalidated() {
     // Stop all tracking
     stopTracking();
     stopMediaSuppression();
+    stopPageWatch();
     if (countdownInterval) {
         clearInterval(countdownInterval);
         countdownInterval = null;
@@ -64,26 +84,68 @@ async function initialize() {
     // Clean up any previous state
     cleanup();
 
+    // Listen for messages from background (only add once)
+    if (!messageListenerAdded) {
+        chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+        messageListenerAdded = true;
+    }
+
     const domain = extractDomain(window.location.href);
     if (!domain) return;
 
-    // Get category for this domain
-    const category = await sendMessage({ type: 'GET_CATEGORY_FOR_DOMAIN', domain });
+    // The adapter extracts the page's channel, which channel rules use to pick the category
+    await loadSiteAdapter(domain);
+    if (isTopFrame) startPageWatch();
+
+    // Get category for this page (URL rules or the domain, then keyword and channel rules)
+    const category = await resolveCategory();
+
+    if (category?.keywordBlocked) {
+        currentDomain = domain;
+        setupNavigationObserver();
+        showBlockedOverlay({ allowed: false, reason: 'keyword_blocked' });
+        return;
+    }
 
     if (!category) {
-        console.log('[TimeTracker] No tracking category for this domain:', domain);
+        console.log('[TimeTracker] No tracking category for this page:', window.location.href);
+        // URL rules may exempt this path but not others on the same site, so keep watching navigation
+        if (isTopFrame) setupNavigationObserver();
         return;
     }
 
     currentCategory = category;
     currentCategoryKey = category.key;
     currentDomain = domain;  // Store current domain for time tracking
+    activityState = await sendMessage({ type: 'GET_ACTIVITY_STATE' }) || activityState;
+    videoFilters = category.type === 'video'
+        ? await sendMessage({ type: 'GET_VIDEO_FILTERS', categoryKey: category.key })
+        : null;
+
+    // Child frames defer to the top frame when it is tracking the page itself,
+    // so embedded players count once and overlays don't stack
+    if (!isTopFrame) {
+        const topFrame = await sendMessage({ type: 'PING_TOP_FRAME' });
+        topFrameTracking = !!topFrame?.tracking;
+        if (topFrameTracking) {
+            startFrameRelay();
+            return;
+        }
+    }
+
+    // Handle SPA navigation (also while blocked: another path may fall under a different rule)
+    setupNavigationObserver();
 
     // Register this tab with the background
     const registration = await sendMessage({ type: 'REGISTER_TAB', categoryKey: currentCategoryKey });
     isActiveTab = registration?.isActive ?? true;
     console.log(`[TimeTracker] Tab registered for ${currentCategoryKey}, isActive: ${isActiveTab}`);
 
+    if (category.channelBlocked) {
+        showChannelBlockedOverlay(category.channel);
+        return;
+    }
+
     // Check domain-specific limit first (takes priority)
     const domainCheck = await sendMessage({ type: 'CHECK_DOMAIN_LIMIT', domain: currentDomain });
     if (domainCheck && !domainCheck.allowed) {
@@ -98,6 +160,8 @@ async function initialize() {
         return;
     }
 
+    if (await isChannelLimitReached()) return;
+
     // Check if we can access this category
     const access = await sendMessage({ type: 'CAN_ACCESS', categoryKey: currentCategoryKey });
 
@@ -113,15 +177,6 @@ async function initialize() {
 
     // Start session and detector
     await startTracking();
-
-    // Listen for messages from background (only add once)
-    if (!messageListenerAdded) {
-        chrome.runtime.onMessage.addListener(handleBackgroundMessage);
-        messageListenerAdded = true;
-    }
-
-    // Handle SPA navigation using more efficient method
-    setupNavigationObserver();
 }
 
 /**
@@ -153,11 +208,120 @@ async function startTracking() {
 
     // Create the appropriate detector
     detector = createDetector(currentCategory.type, handleTimeUpdate, {
-        idleTimeout: currentCategory.idleTimeout || 30
+        idleTimeout: currentCategory.idleTimeout || 30,
+        timeAccounting: currentCategory.timeAccounting,
+        videoFilters,
+        countWhenUnfocused: getCountWhenUnfocused(currentCategory),
+        activityState,
+        siteAdapter
     });
 
     detector.start();
     console.log(`[TimeTracker] Started ${currentCategory.type} detector for ${currentCategoryKey}`);
+    if (siteAdapter) {
+        console.log(`[TimeTracker] Site adapter: ${siteAdapter.id}, live: ${siteAdapter.isLive()}, item:`, siteAdapter.getCurrentItem());
+    }
+
+    notifyChildFrames(false);
+}
+
+/**
+ * Whether a visible tab in an unfocused window still counts. Watching video on a second
+ * monitor is normal; reading there usually means the page was left open.
+ */
+function getCountWhenUnfocused(category) {
+    return category.countWhenUnfocused ?? category.type === 'video';
+}
+
+/**
+ * Background reported an OS idle / window focus change
+ */
+function handleActivityState(state) {
+    activityState = {
+        idleState: state.idleState || 'active',
+        windowFocused: state.windowFocused !== false
+    };
+    detector?.setActivityState(activityState);
+}
+
+/**
+ * Resolve the site adapter for a domain, including user-defined adapters from settings
+ */
+async function loadSiteAdapter(domain) {
+    const userAdapters = await sendMessage({ type: 'GET_SITE_ADAPTERS' });
+    siteAdapter = getSiteAdapter(domain, Array.isArray(userAdapters) ? userAdapters : []);
+}
+
+/**
+ * Ask the background for this page's category, passing the current channel for channel rules
+ * and (top frame only) the page's title/metadata for keyword rules
+ */
+async function resolveCategory() {
+    currentChannel = siteAdapter?.getChannel() || null;
+    const page = isTopFrame ? getPageMetadata() : null;
+    currentPageSignature = JSON.stringify(page);
+    return sendMessage({ type: 'GET_CATEGORY_FOR_URL', url: window.location.href, channel: currentChannel, page });
+}
+
+/**
+ * Title and Open Graph metadata matched by keyword rules
+ */
+function getPageMetadata() {
+    const meta = (property) => document.querySelector(`meta[property="${property}"]`)?.getAttribute('content')?.trim() || null;
+    return {
+        title: document.title || null,
+        ogTitle: meta('og:title'),
+        ogType: meta('og:type')
+    };
+}
+
+// =====================
+// Page Watching
+// =====================
+
+const PAGE_CHECK_INTERVAL = 3000;
+
+/**
+ * Channel metadata and titles render after the URL changes (and autoplay can switch videos
+ * in place), so poll them and re-evaluate the page when either changes
+ */
+function startPageWatch() {
+    if (pageWatchInterval) return;
+    pageWatchInterval = setInterval(checkPageChange, PAGE_CHECK_INTERVAL);
+}
+
+function stopPageWatch() {
+    if (pageWatchInterval) {
+        clearInterval(pageWatchInterval);
+        pageWatchInterval = null;
+    }
+}
+
+async function checkPageChange() {
+    if (contextInvalidated) return;
+
+    const channel = siteAdapter?.getChannel() || null;
+    const page = getPageMetadata();
+    const pageSignature = JSON.stringify(page);
+    if ((channel?.id ?? null) === (currentChannel?.id ?? null) && pageSignature === currentPageSignature) return;
+    currentChannel = channel;
+    currentPageSignature = pageSignature;
+
+    // Only restart tracking when keyword/channel rules or limits actually change the outcome
+    const category = await sendMessage({ type: 'GET_CATEGORY_FOR_URL', url: window.location.href, channel, page });
+    const limitCheck = channel ? await sendMessage({ type: 'CHECK_CHANNEL_LIMIT', domain: currentDomain, channel }) : null;
+    const pageBlockReason = category?.keywordBlocked ? 'keyword_blocked'
+        : category?.channelBlocked ? 'channel_blocked'
+        : limitCheck && !limitCheck.allowed ? 'channel_limit'
+        : null;
+    const categoryKey = category?.keywordBlocked ? null : category?.key ?? null;
+    const currentPageBlockReason = PAGE_BLOCK_REASONS.includes(blockedReason) ? blockedReason : null;
+    if (categoryKey === currentCategoryKey && pageBlockReason === currentPageBlockReason) {
+        return;
+    }
+
+    console.log('[TimeTracker] Page changed:', channel, page.title);
+    handleNavigation();
 }
 
 function stopTracking() {
@@ -167,7 +331,12 @@ function stopTracking() {
     }
 }
 
-async function handleTimeUpdate(seconds) {
+/**
+ * @param {number} seconds - Active time; the background applies the category's limit policy
+ * @param {Object} [metrics] - Secondary figures: { wallTime, contentTime, adTime } from media detectors,
+ *   { composeTime, consumeTime } from ReadingDetector, plus { postsSeen, screensScrolled } from SocialDetector
+ */
+async function handleTimeUpdate(seconds, metrics) {
     if (isBlocked) return;
 
     // Report activity to potentially become the active tab
@@ -186,7 +355,9 @@ async function handleTimeUpdate(seconds) {
         type: 'ADD_TIME',
         categoryKey: currentCategoryKey,
         domain: currentDomain,  // Include domain for per-site tracking
-        seconds
+        channel: currentChannel,  // Per-channel usage within the domain
+        seconds,
+        metrics
     });
 
     // Check for null result (message failed) or blocked
@@ -195,6 +366,85 @@ async function handleTimeUpdate(seconds) {
     }
 }
 
+// =====================
+// Frame Coordination
+// =====================
+
+/**
+ * Child frame under a tracking top frame: run a media detector only and
+ * forward its time to the top frame instead of reporting it ourselves
+ */
+function startFrameRelay() {
+    if (!['video', 'audio'].includes(currentCategory.type)) return;
+
+    detector = createDetector(currentCategory.type, handleFrameMediaTime, {
+        videoFilters,
+        countWhenUnfocused: getCountWhenUnfocused(currentCategory),
+        activityState,
+        siteAdapter
+    });
+    detector.start();
+    console.log(`[FrameCoord] Relaying ${currentCategory.type} activity to top frame`);
+}
+
+async function handleFrameMediaTime(seconds, playback) {
+    if (!topFrameTracking || isBlocked) return;
+
+    // Relay raw playback figures; the top frame applies its own category's accounting policy
+    const result = await sendMessage({
+        type: 'FRAME_MEDIA_ACTIVITY',
+        seconds: playback?.wallTime ?? seconds,
+        contentSeconds: playback?.contentTime ?? seconds,
+        adSeconds: playback?.adTime || 0
+    });
+
+    if (!result?.accepted) {
+        // Top frame stopped tracking (navigated away or unloaded) - track this frame on its own
+        topFrameTracking = false;
+        initialize();
+        return;
+    }
+
+    if (result.blocked) {
+        handleLimitReached(result);
+    }
+}
+
+/**
+ * Top frame: merge media activity reported by an embedded frame into our own detector
+ */
+function handleFrameMediaActivity(seconds, contentSeconds, adSeconds) {
+    if (!currentCategoryKey) return { accepted: false };
+    if (isBlocked) return { accepted: true, blocked: true, reason: 'top_frame_blocked' };
+
+    detector?.addFrameActivity(seconds, contentSeconds, adSeconds);
+    return { accepted: true };
+}
+
+/**
+ * Child frame: the top frame was blocked or resumed
+ */
+function handleTopFrameState(blocked) {
+    if (blocked && topFrameTracking) {
+        handleLimitReached({ allowed: false, reason: 'top_frame_blocked' });
+        return;
+    }
+
+    // Top frame started tracking (or resumed) - re-initialize to defer to it
+    hideBlockedOverlay();
+    initialize();
+}
+
+/**
+ * Tell child frames the top frame was blocked or is tracking. Only changes are sent: every
+ * notification makes the frames re-initialize.
+ */
+function notifyChildFrames(blocked) {
+    if (!isTopFrame || blocked === framesNotifiedBlocked) return;
+    framesNotifiedBlocked = blocked;
+    sendMessage({ type: 'NOTIFY_FRAMES', blocked });
+}
+
 // =====================
 // Limit Handling
 // =====================
@@ -206,12 +456,8 @@ function handleLimitReached(result) {
 }
 
 function pauseAllMedia() {
-    document.querySelectorAll('video').forEach(v => {
-        try { v.pause(); } catch (e) { }
-    });
-
-    document.querySelectorAll('audio').forEach(a => {
-        try { a.pause(); } catch (e) { }
+    querySelectorAllDeep('video, audio').forEach(m => {
+        try { m.pause(); } catch (e) { }
     });
 }
 
@@ -256,8 +502,14 @@ function showBlockedOverlay(access) {
     if (overlayElement) return; // Already showing
 
     isBlocked = true;
+    blockedReason = access.reason;
     startMediaSuppression();
 
+    // The top frame owns the overlay; embedded frames only keep their media paused
+    if (!isTopFrame && topFrameTracking) return;
+
+    notifyChildFrames(true);
+
     overlayElement = document.createElement('div');
     overlayElement.id = 'time-tracker-overlay';
     overlayElement.className = 'time-tracker-overlay';
@@ -271,33 +523,79 @@ function showBlockedOverlay(access) {
         message = i18n('overlayBlockedPeriodMsg');
         if (access.nextAvailable) {
             const nextTime = new Date(access.nextAvailable);
-            countdown = i18n('overlayAvailableAt', nextTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+            // Date ranges and one-off blocks can end on another day
+            const sameDay = nextTime.toDateString() === new Date().toDateString();
+            countdown = i18n('overlayAvailableAt', sameDay
+                ? nextTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : nextTime.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
         }
     } else if (access.reason === 'rest_period') {
         title = '☕ ' + i18n('overlayTakeBreak');
         message = i18n('overlayRestPeriodMsg');
+        [title, message] = getRestKindText(access.restKind, title, message);
+        if (access.restRemaining) {
+            countdown = `<span class="countdown" data-end="${Date.now() + access.restRemaining * 1000}">${i18n('overlayRemaining', access.restRemainingFormatted)}</span>`;
+        }
+    } else if (access.reason === 'global_rest' || access.reason === 'global_session_limit_reached') {
+        title = '🧘 ' + i18n('overlayGlobalBreak');
+        message = i18n('overlayGlobalBreakMsg');
         if (access.restRemaining) {
             countdown = `<span class="countdown" data-end="${Date.now() + access.restRemaining * 1000}">${i18n('overlayRemaining', access.restRemainingFormatted)}</span>`;
         }
+    } else if (access.reason === 'group_limit' || access.reason === 'group_limit_reached') {
+        title = '🗂️ ' + i18n('overlayGroupLimitReached');
+        message = i18n('overlayGroupLimitMsg', escapeHtml(access.groupName || ''));
+        countdown = i18n('overlayResetsMidnight');
+    } else if (access.reason === 'global_limit' || access.reason === 'global_limit_reached') {
+        title = '🌍 ' + i18n('overlayGlobalLimitReached');
+        message = i18n('overlayGlobalLimitMsg');
+        countdown = i18n('overlayResetsMidnight');
     } else if (access.reason === 'session_limit_reached') {
         title = '⏰ ' + i18n('overlaySessionComplete');
         message = i18n('overlaySessionCompleteMsg');
+        [title, message] = getRestKindText(access.restKind, title, message);
         const restDuration = access.restDuration || currentCategory?.restDuration;
         if (restDuration) {
             countdown = `<span class="countdown" data-end="${Date.now() + restDuration * 1000}">${i18n('overlayRemaining', formatSeconds(restDuration))}</span>`;
         }
+    } else if (access.reason === 'rolling_limit' || access.reason === 'rolling_limit_reached') {
+        title = '⏳ ' + i18n('overlayRollingLimitReached');
+        message = i18n('overlayRollingLimitMsg', formatSeconds(access.rollingLimit || 0), formatSeconds(access.rollingWindow || 0));
+        if (access.restRemaining) {
+            countdown = `<span class="countdown" data-end="${Date.now() + access.restRemaining * 1000}">${i18n('overlayRemaining', access.restRemainingFormatted)}</span>`;
+        }
     } else if (access.reason === 'daily_limit' || access.reason === 'daily_limit_reached') {
         title = '📅 ' + i18n('overlayDailyLimitReached');
         message = i18n('overlayDailyLimitMsg');
         countdown = i18n('overlayResetsMidnight');
+    } else if (access.reason === 'weekly_limit' || access.reason === 'weekly_limit_reached') {
+        title = '🗓️ ' + i18n('overlayWeeklyLimitReached');
+        message = i18n('overlayWeeklyLimitMsg', formatSeconds(access.weeklyLimit || 0));
+        if (access.nextAvailable) {
+            countdown = i18n('overlayResetsOn', new Date(access.nextAvailable).toLocaleDateString([], { weekday: 'long' }));
+        }
     } else if (access.reason === 'sessions_exhausted') {
         title = '🎯 ' + i18n('overlayAllSessionsUsed');
         message = i18n('overlayAllSessionsMsg', String(access.sessionsTotal || 0));
         countdown = i18n('overlayResetsMidnight');
+    } else if (access.reason === 'post_limit' || access.reason === 'post_limit_reached') {
+        title = '📰 ' + i18n('overlayPostLimitReached');
+        message = i18n('overlayPostLimitMsg', String(access.dailyPostLimit || 0));
+        countdown = i18n('overlayResetsMidnight');
     } else if (access.reason === 'domain_limit') {
         title = '🌐 ' + i18n('overlayWebsiteLimitReached');
         message = access.reasonText || i18n('overlayDomainLimitMsg', access.domain || 'this site');
         countdown = i18n('overlayResetsMidnight');
+    } else if (access.reason === 'keyword_blocked') {
+        title = '🏷️ ' + i18n('overlayPageBlocked');
+        message = i18n('overlayPageBlockedMsg');
+    } else if (access.reason === 'channel_limit') {
+        title = '📺 ' + i18n('overlayChannelLimitReached');
+        message = i18n('overlayChannelLimitMsg', escapeHtml(access.channel?.name || access.channel?.id || ''));
+        countdown = i18n('overlayResetsMidnight');
+    } else if (access.reason === 'channel_blocked') {
+        title = '📺 ' + i18n('overlayChannelBlocked');
+        message = i18n('overlayChannelBlockedMsg', escapeHtml(access.channel?.name || access.channel?.id || ''));
     }
 
     overlayElement.innerHTML = `
@@ -315,6 +613,13 @@ function showBlockedOverlay(access) {
 
     document.body.appendChild(overlayElement);
 
+    if ((access.reason === 'daily_limit' || access.reason === 'daily_limit_reached') && currentCategory?.bankSpendable) {
+        offerBankedTime();
+    }
+
+    // The background decides whether this block can be extended
+    offerExtension(access);
+
     // Start countdown timer if applicable (use end timestamp so it stays correct when tab is in background)
     if (access.restRemaining) {
         startCountdownTimer(Date.now() + access.restRemaining * 1000);
@@ -326,6 +631,19 @@ function showBlockedOverlay(access) {
     }
 }
 
+/**
+ * Title and message for escalated rests: a Pomodoro-style long break or the gap before the evening
+ */
+function getRestKindText(restKind, title, message) {
+    if (restKind === 'long') {
+        return ['🌴 ' + i18n('overlayLongBreak'), i18n('overlayLongBreakMsg')];
+    }
+    if (restKind === 'evening') {
+        return ['🌙 ' + i18n('overlayEveningBreak'), i18n('overlayEveningBreakMsg')];
+    }
+    return [title, message];
+}
+
 function hideBlockedOverlay() {
     if (overlayElement) {
         overlayElement.remove();
@@ -337,6 +655,164 @@ function hideBlockedOverlay() {
     }
     stopMediaSuppression();
     isBlocked = false;
+    blockedReason = null;
+}
+
+/**
+ * Offer banked time on a daily-limit overlay ("Spend 15 banked minutes?").
+ * On success the background tells every tab of the category to re-initialize.
+ */
+async function offerBankedTime() {
+    const bank = await sendMessage({ type: 'GET_TIME_BANK' });
+    const content = overlayElement?.querySelector('.overlay-content');
+    if (!content || !bank || bank.spendableToday <= 0) return;
+
+    const amount = Math.min(bank.spendStep, bank.spendableToday);
+    const actions = document.createElement('div');
+    actions.className = 'overlay-actions';
+    actions.innerHTML = `
+        <button type="button" class="overlay-button">${i18n('overlaySpendBanked', formatSeconds(amount))}</button>
+        <span class="overlay-note">${i18n('overlayBankBalance', formatSeconds(bank.balance))}</span>
+    `;
+    content.insertBefore(actions, content.querySelector('.overlay-stats'));
+
+    const button = actions.querySelector('button');
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        const result = await sendMessage({ type: 'SPEND_BANKED_TIME', categoryKey: currentCategoryKey, seconds: amount });
+        if (!result?.success) {
+            actions.querySelector('.overlay-note').textContent = i18n('overlayBankUnavailable');
+        }
+    });
+}
+
+const EXTENSION_ERROR_MESSAGES = {
+    wrong_response: 'overlayExtensionWrong',
+    reason_required: 'overlayExtensionReasonRequired'
+};
+
+/**
+ * Offer a limit extension ("Extend by 10 min") while the day's extensions last.
+ * The background hands out a friction step (wait, type a sentence or solve a sum) and only
+ * grants the extension once it is done and a reason is given.
+ */
+async function offerExtension(access) {
+    const status = await sendMessage({
+        type: 'GET_EXTENSION_STATUS',
+        categoryKey: currentCategoryKey,
+        limitReason: access.reason
+    });
+    const content = overlayElement?.querySelector('.overlay-content');
+    if (!content || !status?.enabled || !status.extendable || status.remaining <= 0) return;
+
+    const actions = document.createElement('div');
+    actions.className = 'overlay-actions';
+    actions.innerHTML = `
+        <button type="button" class="overlay-button">${i18n('overlayExtend', formatSeconds(status.duration))}</button>
+        <span class="overlay-note">${i18n('overlayExtensionsLeft', String(status.remaining), String(status.maxPerDay))}</span>
+    `;
+    content.insertBefore(actions, content.querySelector('.overlay-stats'));
+
+    // Keep typing in the form away from the page's keyboard shortcuts
+    actions.addEventListener('keydown', (e) => e.stopPropagation(), true);
+
+    const button = actions.querySelector('button');
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        const challenge = await sendMessage({ type: 'REQUEST_EXTENSION', categoryKey: currentCategoryKey, limitReason: access.reason });
+        if (!challenge?.allowed) {
+            actions.querySelector('.overlay-note').textContent = i18n('overlayExtensionUnavailable');
+            return;
+        }
+        showExtensionForm(actions, challenge);
+    });
+}
+
+function showExtensionForm(actions, challenge) {
+    let prompt = '';
+    if (challenge.friction === 'type') {
+        prompt = `
+            <span class="overlay-note">${i18n('overlayExtensionType')}</span>
+            <blockquote class="overlay-quote">${escapeHtml(challenge.sentence)}</blockquote>
+            <input type="text" class="overlay-input" data-field="response" autocomplete="off">
+        `;
+    } else if (challenge.friction === 'puzzle') {
+        prompt = `
+            <span class="overlay-note">${i18n('overlayExtensionPuzzle', escapeHtml(challenge.question))}</span>
+            <input type="text" class="overlay-input" data-field="response" inputmode="numeric" autocomplete="off">
+        `;
+    }
+
+    actions.innerHTML = `
+        ${prompt}
+        <input type="text" class="overlay-input" data-field="reason" maxlength="200" placeholder="${escapeHtml(i18n('overlayExtensionReason'))}">
+        <button type="button" class="overlay-button">${i18n('overlayExtensionConfirm')}</button>
+        <span class="overlay-note" data-field="status"></span>
+    `;
+
+    const button = actions.querySelector('button');
+    const statusEl = actions.querySelector('[data-field="status"]');
+
+    // The sentence has to be typed, not pasted
+    actions.querySelector('[data-field="response"]')?.addEventListener('paste', (e) => e.preventDefault());
+
+    if (challenge.friction === 'wait') {
+        const readyAt = Date.now() + challenge.waitSeconds * 1000;
+        button.disabled = true;
+        const tick = () => {
+            const remaining = Math.ceil((readyAt - Date.now()) / 1000);
+            if (remaining <= 0 || !actions.isConnected) {
+                clearInterval(waitInterval);
+                button.disabled = false;
+                statusEl.textContent = '';
+                return;
+            }
+            statusEl.textContent = i18n('overlayExtensionWait', formatSeconds(remaining));
+        };
+        const waitInterval = setInterval(tick, 1000);
+        tick();
+    }
+
+    button.addEventListener('click', async () => {
+        const response = actions.querySelector('[data-field="response"]')?.value || '';
+        const reason = actions.querySelector('[data-field="reason"]').value.trim();
+        if (!reason) {
+            statusEl.textContent = i18n('overlayExtensionReasonRequired');
+            return;
+        }
+
+        button.disabled = true;
+        const result = await sendMessage({ type: 'COMPLETE_EXTENSION', challengeId: challenge.challengeId, response, reason });
+        // On success the background sends LIMIT_EXTENDED, which re-initializes the page
+        if (!result?.success) {
+            statusEl.textContent = i18n(EXTENSION_ERROR_MESSAGES[result?.reason] || 'overlayExtensionUnavailable');
+            button.disabled = !EXTENSION_ERROR_MESSAGES[result?.reason];
+        }
+    });
+}
+
+function showChannelBlockedOverlay(channel) {
+    showBlockedOverlay({ allowed: false, reason: 'channel_blocked', channel });
+}
+
+/**
+ * Check the current channel's individual limit, showing the overlay when it is used up
+ */
+async function isChannelLimitReached() {
+    if (!currentChannel) return false;
+
+    const channelCheck = await sendMessage({ type: 'CHECK_CHANNEL_LIMIT', domain: currentDomain, channel: currentChannel });
+    if (channelCheck && !channelCheck.allowed) {
+        showBlockedOverlay({
+            allowed: false,
+            reason: 'channel_limit',
+            channel: currentChannel,
+            limit: channelCheck.limit,
+            used: channelCheck.used
+        });
+        return true;
+    }
+    return false;
 }
 
 function getIconForReason(reason) {
@@ -344,10 +820,25 @@ function getIconForReason(reason) {
         'forbidden_period': '🚫',
         'rest_period': '☕',
         'session_limit_reached': '⏰',
+        'rolling_limit': '⏳',
+        'rolling_limit_reached': '⏳',
         'daily_limit': '📅',
         'daily_limit_reached': '📅',
+        'global_rest': '🧘',
+        'global_session_limit_reached': '🧘',
+        'group_limit': '🗂️',
+        'group_limit_reached': '🗂️',
+        'global_limit': '🌍',
+        'global_limit_reached': '🌍',
+        'weekly_limit': '🗓️',
+        'weekly_limit_reached': '🗓️',
         'sessions_exhausted': '🎯',
-        'domain_limit': '🌐'
+        'post_limit': '📰',
+        'post_limit_reached': '📰',
+        'domain_limit': '🌐',
+        'keyword_blocked': '🏷️',
+        'channel_limit': '📺',
+        'channel_blocked': '📺'
     };
     return icons[reason] || '⏳';
 }
@@ -386,7 +877,7 @@ function startCountdownTimer(endTimestamp) {
 // Message Handling
 // =====================
 
-function handleBackgroundMessage(message) {
+function handleBackgroundMessage(message, sender, sendResponse) {
     switch (message.type) {
         case 'LIMIT_REACHED':
             if (message.category === currentCategoryKey) {
@@ -401,6 +892,7 @@ function handleBackgroundMessage(message) {
             break;
 
         case 'REST_PERIODS_ENDED':
+        case 'LIMIT_EXTENDED':
             if (message.categories.includes(currentCategoryKey)) {
                 hideBlockedOverlay();
                 initialize();
@@ -412,15 +904,33 @@ function handleBackgroundMessage(message) {
             initialize();
             break;
 
+        case 'ACTIVITY_STATE':
+            handleActivityState(message);
+            break;
+
         case 'TAB_ACTIVATED':
             // User switched to this tab - try to become the active tab
             handleTabActivated();
             break;
+
+        case 'FRAME_PING':
+            sendResponse({ tracking: isTopFrame && !!currentCategoryKey });
+            break;
+
+        case 'FRAME_MEDIA_ACTIVITY':
+            sendResponse(handleFrameMediaActivity(message.seconds, message.contentSeconds, message.adSeconds));
+            break;
+
+        case 'TOP_FRAME_STATE':
+            if (!isTopFrame) {
+                handleTopFrameState(message.blocked);
+            }
+            break;
     }
 }
 
 async function handleTabActivated() {
-    if (!currentCategoryKey || isBlocked) return;
+    if (!currentCategoryKey || isBlocked || topFrameTracking) return;
 
     // Report activity to try to become active
     const result = await sendMessage({
@@ -457,7 +967,8 @@ async function sendMessage(message) {
 // =====================
 
 function setupNavigationObserver() {
-    let lastUrl = window.location.href;
+    if (navigationObserverActive) return;
+    navigationObserverActive = true;
 
     // Method 1: Intercept history API (more efficient than MutationObserver)
     const originalPushState = history.pushState;
@@ -522,6 +1033,7 @@ function setupNavigationObserver() {
     // Clean up on page unload
     window.addEventListener('beforeunload', () => {
         cleanupNavigation();
+        stopPageWatch();
         cleanup();
     });
 
@@ -541,10 +1053,37 @@ async function handleNavigation() {
     const domain = extractDomain(window.location.href);
     if (!domain) return;
 
-    const category = await sendMessage({ type: 'GET_CATEGORY_FOR_DOMAIN', domain });
+    if (domain !== currentDomain) {
+        await loadSiteAdapter(domain);
+    }
+
+    // URL, keyword and channel rules can put pages of the same site in different categories, so re-resolve on every navigation
+    const category = await resolveCategory();
+
+    if (category?.keywordBlocked) {
+        // Blocked outright, whatever category the page would otherwise count towards
+        if (currentCategoryKey) {
+            await sendMessage({ type: 'UNREGISTER_TAB', categoryKey: currentCategoryKey });
+            currentCategory = null;
+            currentCategoryKey = null;
+        }
+        currentDomain = domain;
+        if (blockedReason !== 'keyword_blocked') {
+            hideBlockedOverlay();
+            showBlockedOverlay({ allowed: false, reason: 'keyword_blocked' });
+        }
+        return;
+    }
 
     if (!category) {
-        console.log('[TimeTracker] No tracking category for this domain');
+        console.log('[TimeTracker] No tracking category for this page');
+        // An exempt path is not subject to the previous category's block
+        if (isBlocked) {
+            hideBlockedOverlay();
+            notifyChildFrames(false);
+        }
+        // Child frames track on their own meanwhile, so they must hear when tracking resumes
+        framesNotifiedBlocked = null;
         // Unregister from current category if we're leaving a tracked site
         if (currentCategoryKey) {
             await sendMessage({ type: 'UNREGISTER_TAB', categoryKey: currentCategoryKey });
@@ -560,6 +1099,11 @@ async function handleNavigation() {
 
     // Check if category changed
     if (category.key !== currentCategoryKey) {
+        // The previous category's block doesn't apply here; the access check below decides
+        if (isBlocked) {
+            hideBlockedOverlay();
+        }
+
         // Unregister from old category
         if (currentCategoryKey) {
             await sendMessage({ type: 'UNREGISTER_TAB', categoryKey: currentCategoryKey });
@@ -572,6 +1116,15 @@ async function handleNavigation() {
         isActiveTab = registration?.isActive ?? true;
     }
 
+    if (category.channelBlocked) {
+        showChannelBlockedOverlay(category.channel);
+        return;
+    }
+    // Moved on from a blocked page or a blocked/limited channel within the same category
+    if (PAGE_BLOCK_REASONS.includes(blockedReason)) {
+        hideBlockedOverlay();
+    }
+
     // Check domain-specific limit first (takes priority)
     const domainCheck = await sendMessage({ type: 'CHECK_DOMAIN_LIMIT', domain: currentDomain });
     if (domainCheck && !domainCheck.allowed) {
@@ -586,6 +1139,8 @@ async function handleNavigation() {
         return;
     }
 
+    if (await isChannelLimitReached()) return;
+
     // Check access
     const access = await sendMessage({ type: 'CAN_ACCESS', categoryKey: currentCategoryKey });
 
@@ -610,6 +1165,30 @@ function extractDomain(url) {
     }
 }
 
+const TEXT_INPUT_TYPES = new Set(['text', 'search', 'email', 'url', 'tel', 'password', 'number', '']);
+
+/**
+ * Whether an element accepts typed text (inputs, textareas, contenteditable)
+ */
+function isEditableElement(el) {
+    if (!el || el.disabled || el.readOnly) return false;
+    if (el.isContentEditable) return true;
+    if (el.tagName === 'TEXTAREA') return true;
+    if (el.tagName === 'INPUT') return TEXT_INPUT_TYPES.has((el.getAttribute('type') || '').toLowerCase());
+    return false;
+}
+
+/**
+ * Focused element, descending into open shadow roots (editors often live in web components)
+ */
+function getDeepActiveElement() {
+    let el = document.activeElement;
+    while (el?.shadowRoot?.activeElement) {
+        el = el.shadowRoot.activeElement;
+    }
+    return el;
+}
+
 function formatSeconds(seconds) {
     if (seconds < 0) seconds = 0;
     const hours = Math.floor(seconds / 3600);
@@ -621,37 +1200,114 @@ function formatSeconds(seconds) {
     return `${secs}s`;
 }
 
+/**
+ * Escape page-provided text (channel names) before interpolating it into the overlay
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // =====================
 // Detector Classes
 // =====================
 
+/**
+ * Whether the OS/browser activity state lets a detector count time.
+ * A locked screen never counts; OS idle (no input anywhere) only counts for passive media.
+ * @param {{ idleState: string, windowFocused: boolean }} state
+ * @param {{ countWhenUnfocused: boolean, countWhenIdle: boolean }} policy
+ */
+function isActivityStateCountable(state, policy) {
+    if (!state) return true;
+    if (state.idleState === 'locked') return false;
+    if (state.idleState === 'idle' && !policy.countWhenIdle) return false;
+    if (!state.windowFocused && !policy.countWhenUnfocused) return false;
+    return true;
+}
+
 class VideoDetector {
-    constructor(onTimeUpdate) {
+    /**
+     * @param {Function} onTimeUpdate - Called with (seconds, { wallTime, contentTime, adTime })
+     * @param {Object} options
+     * @param {'wallclock'|'content'} [options.timeAccounting] - Which figure counts toward limits
+     * @param {Object} [options.videoFilters] - Which playing videos to ignore (GET_VIDEO_FILTERS, see
+     *   DEFAULT_VIDEO_FILTERS in storage.js); every video counts without them
+     * @param {Object} [options.siteAdapter] - Site adapter that knows the page's main player and ad state
+     * @param {boolean} [options.countWhenUnfocused] - Count while the browser window isn't focused
+     * @param {Object} [options.activityState] - Initial OS idle / window focus state
+     */
+    constructor(onTimeUpdate, options = {}) {
         this.onTimeUpdate = onTimeUpdate;
-        this.video = null;
-        this.lastCurrentTime = 0;
-        this.lastUpdateTimestamp = 0;
+        this.timeAccounting = options.timeAccounting || 'wallclock';
+        this.filters = { ...options.videoFilters };
+        this.siteAdapter = options.siteAdapter || null;
+        this.countWhenUnfocused = options.countWhenUnfocused ?? true;
+        this.activityState = options.activityState || null;
+        // Map<HTMLVideoElement, { lastCurrentTime, lastUpdateTimestamp, inViewport }>
+        this.videos = new Map();
         this.observer = null;
-        this.accumulatedTime = 0;
+        this.intersectionObserver = null;
+        this.hasUserGesture = !!navigator.userActivation?.hasBeenActive;
+        this.rescanTimeout = null;
+        this.accumulatedWallTime = 0;     // Real time spent watching
+        this.accumulatedContentTime = 0;  // Media time consumed (wall time x playbackRate)
+        this.accumulatedAdTime = 0;       // Real time spent on ads; excluded from the two above
+        this.countedUntil = 0;  // Wall-clock ms up to which playback has already been credited
         this.lastReportTime = Date.now();
-        this.boundHandlers = {};
+        this.boundHandlers = {
+            timeupdate: (e) => this.handleTimeUpdate(e),
+            play: (e) => this.handlePlay(e),
+            pause: () => this.handlePause(),
+            gesture: () => { this.hasUserGesture = true; }
+        };
         this.reportInterval = null;
     }
 
     start() {
-        this.findVideo();
+        this.intersectionObserver = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                const state = this.videos.get(entry.target);
+                if (state) state.inViewport = entry.isIntersecting;
+            }
+        });
+        ['pointerdown', 'keydown'].forEach(e => {
+            document.addEventListener(e, this.boundHandlers.gesture, { capture: true, passive: true });
+        });
+
+        this.findVideos();
         this.setupObserver();
-        // Note: attachVideoListeners is called within findVideo() when video is found
-        // Periodic report even if timeupdate fires infrequently
-        this.reportInterval = setInterval(() => this.reportAccumulatedTime(), 5000);
+        // Periodic report even if timeupdate fires infrequently; also rescans, since
+        // mutations inside shadow roots are not seen by the document observer
+        this.reportInterval = setInterval(() => {
+            this.findVideos();
+            this.reportAccumulatedTime();
+        }, 5000);
     }
 
     stop() {
-        this.detachVideoListeners();
+        for (const video of this.videos.keys()) {
+            this.detachVideoListeners(video);
+        }
+        this.videos.clear();
         if (this.observer) {
             this.observer.disconnect();
             this.observer = null;
         }
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+            this.intersectionObserver = null;
+        }
+        ['pointerdown', 'keydown'].forEach(e => {
+            document.removeEventListener(e, this.boundHandlers.gesture, { capture: true });
+        });
+        if (this.rescanTimeout) {
+            clearTimeout(this.rescanTimeout);
+            this.rescanTimeout = null;
+        }
         if (this.reportInterval) {
             clearInterval(this.reportInterval);
             this.reportInterval = null;
@@ -659,42 +1315,44 @@ class VideoDetector {
         this.reportAccumulatedTime();
     }
 
-    findVideo() {
-        // Try standard video first
-        this.video = document.querySelector('video');
-
-        // YouTube specific selectors
-        if (!this.video) {
-            const ytPlayer = document.querySelector('ytd-player, #movie_player, #player');
-            if (ytPlayer) {
-                this.video = ytPlayer.querySelector('video');
-            }
-        }
-
-        // Netflix specific
-        if (!this.video) {
-            const netflixPlayer = document.querySelector('.watch-video video');
-            if (netflixPlayer) {
-                this.video = netflixPlayer;
+    /**
+     * Sync the tracked set with the site adapter's player videos, or (generic fallback)
+     * every <video> on the page, including open shadow roots
+     */
+    findVideos() {
+        const players = this.siteAdapter?.findPlayers() || [];
+        const found = new Set(players.length > 0 ? players : querySelectorAllDeep('video'));
+
+        for (const video of this.videos.keys()) {
+            if (!found.has(video) || !video.isConnected) {
+                this.detachVideoListeners(video);
+                this.intersectionObserver?.unobserve(video);
+                this.videos.delete(video);
             }
         }
 
-        if (this.video) {
-            this.lastCurrentTime = this.video.currentTime;
-            this.lastUpdateTimestamp = Date.now();
-            console.log('[TimeTracker] Video found, currentTime:', this.lastCurrentTime);
-            this.attachVideoListeners();
+        for (const video of found) {
+            if (this.videos.has(video)) continue;
+            this.videos.set(video, {
+                lastCurrentTime: video.currentTime,
+                lastUpdateTimestamp: Date.now(),
+                inViewport: true  // Until the IntersectionObserver reports otherwise
+            });
+            this.attachVideoListeners(video);
+            this.intersectionObserver?.observe(video);
+            console.log('[TimeTracker] Video found, currentTime:', video.currentTime);
         }
     }
 
     setupObserver() {
         // Only observe for video element changes, not all DOM mutations
-        this.observer = new MutationObserver((mutations) => {
-            // Check if we need to find a new video
-            if (!this.video || !document.contains(this.video)) {
-                this.detachVideoListeners();
-                this.findVideo();
-            }
+        this.observer = new MutationObserver(() => {
+            // Debounce: SPA players churn the DOM constantly
+            if (this.rescanTimeout) return;
+            this.rescanTimeout = setTimeout(() => {
+                this.rescanTimeout = null;
+                this.findVideos();
+            }, 1000);
         });
 
         // Use a more targeted observation - just watch for added/removed nodes
@@ -706,61 +1364,81 @@ class VideoDetector {
         });
     }
 
-    attachVideoListeners() {
-        if (!this.video) return;
+    attachVideoListeners(video) {
+        // Use timeupdate event - fires ~4 times per second during playback
+        video.addEventListener('timeupdate', this.boundHandlers.timeupdate);
+        video.addEventListener('play', this.boundHandlers.play);
+        video.addEventListener('pause', this.boundHandlers.pause);
+    }
+
+    detachVideoListeners(video) {
+        video.removeEventListener('timeupdate', this.boundHandlers.timeupdate);
+        video.removeEventListener('play', this.boundHandlers.play);
+        video.removeEventListener('pause', this.boundHandlers.pause);
+    }
 
-        // Remove any existing listeners first
-        this.detachVideoListeners();
+    /**
+     * A player the user can actually see: rendered with a non-zero box and not hidden via CSS.
+     * Hidden ad players and detached hover previews fail this check.
+     */
+    isVideoVisible(video) {
+        if (!video.isConnected) return false;
 
-        // Use timeupdate event - fires ~4 times per second during playback
-        this.boundHandlers.timeupdate = (e) => this.handleTimeUpdate(e);
-        this.boundHandlers.play = () => this.handlePlay();
-        this.boundHandlers.pause = () => this.handlePause();
+        const rect = video.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return false;
 
-        this.video.addEventListener('timeupdate', this.boundHandlers.timeupdate);
-        this.video.addEventListener('play', this.boundHandlers.play);
-        this.video.addEventListener('pause', this.boundHandlers.pause);
+        const style = getComputedStyle(video);
+        return style.visibility !== 'hidden' && parseFloat(style.opacity) > 0;
     }
 
-    detachVideoListeners() {
-        if (!this.video) return;
+    /**
+     * Whether playback of this video is deliberate watching under the category's filters:
+     * skips muted previews, tiny tiles, offscreen players and autoplay before any interaction
+     */
+    isVideoCountable(video, state) {
+        // Watching without touching the input devices is normal, so OS idle still counts
+        const policy = { countWhenUnfocused: this.countWhenUnfocused, countWhenIdle: true };
+        if (!isActivityStateCountable(this.activityState, policy)) return false;
+        if (!this.isVideoVisible(video)) return false;
 
-        if (this.boundHandlers.timeupdate) {
-            this.video.removeEventListener('timeupdate', this.boundHandlers.timeupdate);
-        }
-        if (this.boundHandlers.play) {
-            this.video.removeEventListener('play', this.boundHandlers.play);
-        }
-        if (this.boundHandlers.pause) {
-            this.video.removeEventListener('pause', this.boundHandlers.pause);
-        }
+        const { ignoreMuted, minWidth, ignoreOffscreen, requireUserGesture } = this.filters;
+
+        if (ignoreMuted && (video.muted || video.volume === 0)) return false;
+        if (minWidth && video.getBoundingClientRect().width < minWidth) return false;
+        if (ignoreOffscreen && !state.inViewport) return false;
+        if (requireUserGesture && !this.hasUserGesture) return false;
+
+        return true;
     }
 
     handleTimeUpdate(e) {
         const video = e.target;
-        if (!video || video.paused) return;
+        const state = this.videos.get(video);
+        if (!state || video.paused) return;
 
         const currentTime = video.currentTime;
         const now = Date.now();
+        const rate = video.playbackRate > 0 ? video.playbackRate : 1;
 
         // Calculate time delta in video
-        const videoTimeDelta = currentTime - this.lastCurrentTime;
+        const videoTimeDelta = currentTime - state.lastCurrentTime;
 
         // Calculate real elapsed time since last update
-        const realTimeDelta = (now - this.lastUpdateTimestamp) / 1000;
+        const realTimeDelta = (now - state.lastUpdateTimestamp) / 1000;
 
         // Video is playing if:
         // 1. currentTime advanced by at least 0.1s
-        // 2. But not skipped ahead (seeking) - video delta should be close to real delta
-        // 3. Video is not paused
-        if (videoTimeDelta >= 0.1 && videoTimeDelta < realTimeDelta + 1) {
-            // Add the actual video time that elapsed (more accurate than fixed increment)
-            const timeToAdd = Math.min(videoTimeDelta, realTimeDelta + 0.5);
-            this.accumulatedTime += timeToAdd;
+        // 2. But not skipped ahead (seeking) - video delta should be close to real delta x playbackRate
+        // 3. Video is not paused, is visible and passes the category's filters
+        if (videoTimeDelta >= 0.1 && videoTimeDelta < realTimeDelta * rate + 1 && this.isVideoCountable(video, state)) {
+            // Real time it took to play this much content, clamped to the real elapsed time
+            const wallTime = Math.min(videoTimeDelta / rate, realTimeDelta + 0.5);
+            const isAd = !!this.siteAdapter?.isAdPlaying();
+            this.creditPlayback(now - wallTime * 1000, now, rate, isAd);
         }
 
-        this.lastCurrentTime = currentTime;
-        this.lastUpdateTimestamp = now;
+        state.lastCurrentTime = currentTime;
+        state.lastUpdateTimestamp = now;
 
         // Report every 5 seconds
         if (now - this.lastReportTime >= 5000) {
@@ -768,10 +1446,39 @@ class VideoDetector {
         }
     }
 
-    handlePlay() {
-        if (this.video) {
-            this.lastCurrentTime = this.video.currentTime;
-            this.lastUpdateTimestamp = Date.now();
+    /**
+     * Credit the wall-clock interval [startMs, endMs], skipping any part already credited
+     * by another player, so simultaneous videos are counted once (union of intervals).
+     * Ad playback is kept apart so the background can apply the category's ad policy.
+     */
+    creditPlayback(startMs, endMs, rate = 1, isAd = false) {
+        const from = Math.max(startMs, this.countedUntil);
+        if (endMs <= from) return;
+
+        const wallTime = (endMs - from) / 1000;
+        if (isAd) {
+            this.accumulatedAdTime += wallTime;
+        } else {
+            this.accumulatedWallTime += wallTime;
+            this.accumulatedContentTime += wallTime * rate;
+        }
+        this.countedUntil = endMs;
+    }
+
+    /**
+     * Playback reported by an embedded frame; merged with our own players
+     */
+    addFrameActivity(seconds, contentSeconds = seconds, adSeconds = 0) {
+        const now = Date.now();
+        this.creditPlayback(now - seconds * 1000, now, seconds > 0 ? contentSeconds / seconds : 1);
+        this.accumulatedAdTime += adSeconds;
+    }
+
+    handlePlay(e) {
+        const state = this.videos.get(e.target);
+        if (state) {
+            state.lastCurrentTime = e.target.currentTime;
+            state.lastUpdateTimestamp = Date.now();
         }
     }
 
@@ -780,23 +1487,55 @@ class VideoDetector {
         this.reportAccumulatedTime();
     }
 
+    setActivityState(state) {
+        this.activityState = state;
+    }
+
     reportAccumulatedTime() {
-        if (this.accumulatedTime > 0) {
-            this.onTimeUpdate(this.accumulatedTime);
-            this.accumulatedTime = 0;
+        if (this.accumulatedWallTime > 0 || this.accumulatedAdTime > 0) {
+            const seconds = this.timeAccounting === 'content'
+                ? this.accumulatedContentTime
+                : this.accumulatedWallTime;
+            this.onTimeUpdate(seconds, {
+                wallTime: this.accumulatedWallTime,
+                contentTime: this.accumulatedContentTime,
+                adTime: this.accumulatedAdTime
+            });
+            this.accumulatedWallTime = 0;
+            this.accumulatedContentTime = 0;
+            this.accumulatedAdTime = 0;
             this.lastReportTime = Date.now();
         }
     }
 }
 
+// Typing within this window, with an editable element focused, counts as composing
+const COMPOSE_BURST_TIMEOUT = 15000;
+
+/**
+ * Tracks active reading time. Active time is split into composing (typing into a focused
+ * input, textarea or contenteditable) and consuming (everything else), reported with
+ * (seconds, { composeTime, consumeTime }) so categories can discount composing.
+ */
 class ReadingDetector {
-    constructor(onTimeUpdate, idleTimeout = 30) {
+    /**
+     * @param {Function} onTimeUpdate
+     * @param {number} idleTimeout - Seconds without interaction before time stops counting
+     * @param {Object} [options]
+     * @param {boolean} [options.countWhenUnfocused] - Count while the browser window isn't focused
+     * @param {Object} [options.activityState] - Initial OS idle / window focus state
+     */
+    constructor(onTimeUpdate, idleTimeout = 30, options = {}) {
         this.onTimeUpdate = onTimeUpdate;
         this.idleTimeout = idleTimeout * 1000;
+        this.countWhenUnfocused = options.countWhenUnfocused ?? false;
+        this.activityState = options.activityState || null;
         this.lastInteraction = Date.now();
+        this.lastComposeInput = 0;
         this.isVisible = !document.hidden;
         this.pollInterval = null;
         this.accumulatedTime = 0;
+        this.accumulatedComposeTime = 0;  // Part of accumulatedTime spent composing
         this.lastReportTime = Date.now();
         this.lastCheckTime = Date.now();
         this.boundHandlers = {};
@@ -820,10 +1559,21 @@ class ReadingDetector {
     setupEventListeners() {
         this.boundHandlers.interaction = () => { this.lastInteraction = Date.now(); };
         this.boundHandlers.visibility = () => { this.isVisible = !document.hidden; };
+        this.boundHandlers.compose = (e) => {
+            // composedPath()[0] is the real target inside shadow roots
+            const target = e.composedPath?.()[0] || e.target;
+            if (isEditableElement(target)) {
+                this.lastComposeInput = Date.now();
+                this.lastInteraction = this.lastComposeInput;
+            }
+        };
 
         ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'].forEach(e => {
             document.addEventListener(e, this.boundHandlers.interaction, { passive: true });
         });
+        ['keydown', 'input'].forEach(e => {
+            document.addEventListener(e, this.boundHandlers.compose, { capture: true, passive: true });
+        });
         document.addEventListener('visibilitychange', this.boundHandlers.visibility);
     }
 
@@ -831,9 +1581,20 @@ class ReadingDetector {
         ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'].forEach(e => {
             document.removeEventListener(e, this.boundHandlers.interaction);
         });
+        ['keydown', 'input'].forEach(e => {
+            document.removeEventListener(e, this.boundHandlers.compose, { capture: true });
+        });
         document.removeEventListener('visibilitychange', this.boundHandlers.visibility);
     }
 
+    /**
+     * Composing = a recent typing burst while an editable element still has focus
+     */
+    isComposing(now) {
+        return now - this.lastComposeInput < COMPOSE_BURST_TIMEOUT &&
+            isEditableElement(getDeepActiveElement());
+    }
+
     startPolling() {
         this.pollInterval = setInterval(() => this.checkActivity(), 1000);
     }
@@ -842,39 +1603,383 @@ class ReadingDetector {
         const now = Date.now();
         const elapsed = (now - this.lastCheckTime) / 1000;
         this.lastCheckTime = now;
-        const isActive = this.isVisible && (now - this.lastInteraction) < this.idleTimeout;
+        // DOM events alone can't tell a locked screen or an unfocused window on another monitor
+        const policy = { countWhenUnfocused: this.countWhenUnfocused, countWhenIdle: false };
+        const isActive = this.isVisible && (now - this.lastInteraction) < this.idleTimeout &&
+            isActivityStateCountable(this.activityState, policy);
 
         if (isActive) {
             // Use real elapsed time instead of fixed +1 to avoid setInterval drift
-            this.accumulatedTime += Math.min(elapsed, 2);  // cap at 2s to ignore long suspensions
+            const credited = Math.min(elapsed, 2);  // cap at 2s to ignore long suspensions
+            this.accumulatedTime += credited;
+            if (this.isComposing(now)) {
+                this.accumulatedComposeTime += credited;
+            }
             if (now - this.lastReportTime >= 5000) {
                 this.reportAccumulatedTime();
             }
         }
     }
 
+    /**
+     * Media playing in an embedded frame counts as activity, not as extra time
+     */
+    addFrameActivity() {
+        this.lastInteraction = Date.now();
+    }
+
+    setActivityState(state) {
+        this.activityState = state;
+    }
+
+    /**
+     * Activity split for the current report; composing + consuming = accumulatedTime
+     */
+    getActivityMetrics() {
+        return {
+            composeTime: this.accumulatedComposeTime,
+            consumeTime: this.accumulatedTime - this.accumulatedComposeTime
+        };
+    }
+
     reportAccumulatedTime() {
         if (this.accumulatedTime > 0) {
-            this.onTimeUpdate(this.accumulatedTime);
+            this.onTimeUpdate(this.accumulatedTime, this.getActivityMetrics());
             this.accumulatedTime = 0;
+            this.accumulatedComposeTime = 0;
             this.lastReportTime = Date.now();
         }
     }
 }
 
+// Fallback for sites without a site adapter feedItemSelector
+const GENERIC_FEED_ITEM_SELECTOR = 'article, [role="article"]';
+const SCROLL_VELOCITY_WINDOW = 10000;  // ms of scroll samples used for the current velocity
+
+/**
+ * Tracks infinite feeds: active time like ReadingDetector, plus how fast the feed is scrolled
+ * (viewport heights) and how many feed items scroll past the top of the viewport ("posts seen").
+ * Fast doomscrolling shows up in these metrics even when little time passes.
+ */
 class SocialDetector extends ReadingDetector {
-    // Same as ReadingDetector for now, but can be customized later
-    constructor(onTimeUpdate, idleTimeout = 30) {
-        super(onTimeUpdate, idleTimeout);
+    /**
+     * @param {Function} onTimeUpdate - Called with (seconds, { composeTime, consumeTime, postsSeen, screensScrolled })
+     * @param {number} idleTimeout - Seconds without interaction before time stops counting
+     * @param {Object} [options]
+     * @param {Object} [options.siteAdapter] - Site adapter whose feedItemSelector marks feed items
+     */
+    constructor(onTimeUpdate, idleTimeout = 30, options = {}) {
+        super(onTimeUpdate, idleTimeout, options);
+        this.feedItemSelector = options.siteAdapter?.feedItemSelector || GENERIC_FEED_ITEM_SELECTOR;
+        this.observedItems = new WeakSet();
+        this.seenItems = new WeakSet();     // Items that have been in the viewport
+        this.passedItems = new WeakSet();   // Items already counted as seen
+        this.scrollPositions = new WeakMap();  // Scroll container -> last scrollTop
+        this.scrollSamples = [];  // [{ time, screens }] within SCROLL_VELOCITY_WINDOW
+        this.accumulatedPosts = 0;
+        this.accumulatedScreens = 0;
+        this.itemObserver = null;
+        this.mutationObserver = null;
+        this.rescanTimeout = null;
+    }
+
+    start() {
+        super.start();
+
+        this.itemObserver = new IntersectionObserver((entries) => {
+            for (const entry of entries) this.handleItemIntersection(entry);
+        });
+        this.findFeedItems();
+
+        this.mutationObserver = new MutationObserver(() => {
+            // Debounce: feeds append items in bursts
+            if (this.rescanTimeout) return;
+            this.rescanTimeout = setTimeout(() => {
+                this.rescanTimeout = null;
+                this.findFeedItems();
+            }, 1000);
+        });
+        this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    stop() {
+        if (this.itemObserver) {
+            this.itemObserver.disconnect();
+            this.itemObserver = null;
+        }
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+        if (this.rescanTimeout) {
+            clearTimeout(this.rescanTimeout);
+            this.rescanTimeout = null;
+        }
+        super.stop();
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+        // Scroll doesn't bubble; feeds like TikTok and Shorts scroll an inner container
+        this.boundHandlers.feedScroll = (e) => this.handleScroll(e);
+        document.addEventListener('scroll', this.boundHandlers.feedScroll, { capture: true, passive: true });
+    }
+
+    removeEventListeners() {
+        super.removeEventListeners();
+        document.removeEventListener('scroll', this.boundHandlers.feedScroll, { capture: true });
+    }
+
+    findFeedItems() {
+        let items;
+        try {
+            items = document.querySelectorAll(this.feedItemSelector);
+        } catch (e) {
+            // Invalid selector in a user-defined adapter
+            items = document.querySelectorAll(GENERIC_FEED_ITEM_SELECTOR);
+        }
+
+        for (const item of items) {
+            if (this.observedItems.has(item)) continue;
+            this.observedItems.add(item);
+            this.itemObserver?.observe(item);
+        }
+    }
+
+    /**
+     * An item counts once it has been on screen and then leaves through the top of the viewport
+     */
+    handleItemIntersection(entry) {
+        const item = entry.target;
+        if (entry.isIntersecting) {
+            this.seenItems.add(item);
+            return;
+        }
+        if (!this.seenItems.has(item) || this.passedItems.has(item)) return;
+
+        const viewportTop = entry.rootBounds ? entry.rootBounds.top : 0;
+        if (entry.boundingClientRect.bottom <= viewportTop) {
+            this.passedItems.add(item);
+            this.accumulatedPosts++;
+        }
+    }
+
+    handleScroll(e) {
+        const target = e.target === document ? document.scrollingElement : e.target;
+        if (!target) return;
+
+        const now = Date.now();
+        this.lastInteraction = now;
+
+        const top = target.scrollTop;
+        const last = this.scrollPositions.get(target);
+        this.scrollPositions.set(target, top);
+        if (last == null) return;
+
+        const viewportHeight = target.clientHeight || window.innerHeight || 1;
+        const screens = Math.abs(top - last) / viewportHeight;
+        if (screens === 0) return;
+
+        this.accumulatedScreens += screens;
+        this.scrollSamples.push({ time: now, screens });
+        while (this.scrollSamples.length && now - this.scrollSamples[0].time > SCROLL_VELOCITY_WINDOW) {
+            this.scrollSamples.shift();
+        }
+    }
+
+    /**
+     * Current scroll velocity in viewport heights per minute
+     */
+    getScrollVelocity() {
+        const now = Date.now();
+        const recent = this.scrollSamples.filter(s => now - s.time <= SCROLL_VELOCITY_WINDOW);
+        const screens = recent.reduce((sum, s) => sum + s.screens, 0);
+        return screens * (60000 / SCROLL_VELOCITY_WINDOW);
+    }
+
+    reportAccumulatedTime() {
+        if (this.accumulatedTime > 0 || this.accumulatedPosts > 0 || this.accumulatedScreens > 0) {
+            this.onTimeUpdate(this.accumulatedTime, {
+                ...this.getActivityMetrics(),
+                postsSeen: this.accumulatedPosts,
+                screensScrolled: this.accumulatedScreens
+            });
+            this.accumulatedTime = 0;
+            this.accumulatedComposeTime = 0;
+            this.accumulatedPosts = 0;
+            this.accumulatedScreens = 0;
+            this.lastReportTime = Date.now();
+        }
+    }
+}
+
+/**
+ * Tracks listening time: counts while any audible <audio>/<video> element is playing,
+ * or (for Web Audio players without media elements) while the page reports
+ * Media Session playback. Keeps counting when the tab is hidden and stops on pause.
+ */
+class AudioDetector {
+    /**
+     * @param {Function} onTimeUpdate - Called with (seconds, { wallTime, contentTime })
+     * @param {Object} options
+     * @param {'wallclock'|'content'} [options.timeAccounting] - Which figure counts toward limits
+     * @param {Object} [options.activityState] - Initial OS idle / window focus state
+     */
+    constructor(onTimeUpdate, options = {}) {
+        this.onTimeUpdate = onTimeUpdate;
+        this.timeAccounting = options.timeAccounting || 'wallclock';
+        this.activityState = options.activityState || null;
+        this.isPlaying = false;
+        this.playbackRate = 1;
+        this.pollInterval = null;
+        this.accumulatedWallTime = 0;
+        this.accumulatedContentTime = 0;
+        this.countedUntil = 0;  // Wall-clock ms up to which playback has already been credited
+        this.lastReportTime = Date.now();
+        this.lastCheckTime = Date.now();
+        this.boundHandlers = {};
+    }
+
+    start() {
+        this.lastCheckTime = Date.now();
+        this.isPlaying = this.detectPlayback();
+        this.setupEventListeners();
+        // Audible tabs are exempt from background timer throttling, so polling keeps running when hidden
+        this.pollInterval = setInterval(() => this.checkPlayback(), 1000);
+    }
+
+    stop() {
+        this.removeEventListeners();
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+        this.checkPlayback();
+        this.reportAccumulatedTime();
+    }
+
+    setupEventListeners() {
+        // Media events don't bubble, so listen in the capture phase to see every element
+        this.boundHandlers.stateChange = () => this.checkPlayback();
+        this.boundHandlers.stopped = () => {
+            this.checkPlayback();
+            this.reportAccumulatedTime();
+        };
+
+        ['play', 'playing', 'volumechange'].forEach(e => {
+            document.addEventListener(e, this.boundHandlers.stateChange, true);
+        });
+        ['pause', 'ended', 'emptied', 'waiting'].forEach(e => {
+            document.addEventListener(e, this.boundHandlers.stopped, true);
+        });
+    }
+
+    removeEventListeners() {
+        ['play', 'playing', 'volumechange'].forEach(e => {
+            document.removeEventListener(e, this.boundHandlers.stateChange, true);
+        });
+        ['pause', 'ended', 'emptied', 'waiting'].forEach(e => {
+            document.removeEventListener(e, this.boundHandlers.stopped, true);
+        });
+    }
+
+    isAudible(media) {
+        return !media.paused &&
+            !media.ended &&
+            !media.muted &&
+            media.volume > 0 &&
+            media.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA;
+    }
+
+    detectPlayback() {
+        const mediaElements = querySelectorAllDeep('audio, video');
+        const audible = mediaElements.filter(m => this.isAudible(m));
+        if (audible.length > 0) {
+            this.playbackRate = Math.max(...audible.map(m => m.playbackRate > 0 ? m.playbackRate : 1));
+            return true;
+        }
+
+        this.playbackRate = 1;
+
+        // Players built on Web Audio (or detached Audio objects) have no element in the DOM;
+        // rely on the page's own Media Session state for those
+        if (!mediaElements.some(m => !m.paused)) {
+            return navigator.mediaSession?.playbackState === 'playing';
+        }
+
+        return false;
+    }
+
+    /**
+     * Credit time elapsed since the last check if we were playing, then re-sample playback state.
+     */
+    checkPlayback() {
+        const now = Date.now();
+        const elapsed = (now - this.lastCheckTime) / 1000;
+        this.lastCheckTime = now;
+
+        // Listening is passive and background by nature: only a locked screen stops it
+        const policy = { countWhenUnfocused: true, countWhenIdle: true };
+        if (this.isPlaying && isActivityStateCountable(this.activityState, policy)) {
+            // Cap to ignore long suspensions (sleep, frozen tab)
+            this.creditPlayback(now - Math.min(elapsed, 2) * 1000, now, this.playbackRate);
+        }
+
+        this.isPlaying = this.detectPlayback();
+
+        if (this.isPlaying && now - this.lastReportTime >= 5000) {
+            this.reportAccumulatedTime();
+        }
+    }
+
+    /**
+     * Credit a wall-clock interval once, even if an embedded frame reports the same span
+     */
+    creditPlayback(startMs, endMs, rate = 1) {
+        const from = Math.max(startMs, this.countedUntil);
+        if (endMs <= from) return;
+
+        const wallTime = (endMs - from) / 1000;
+        this.accumulatedWallTime += wallTime;
+        this.accumulatedContentTime += wallTime * rate;
+        this.countedUntil = endMs;
+    }
+
+    /**
+     * Playback reported by an embedded frame
+     */
+    addFrameActivity(seconds, contentSeconds = seconds) {
+        const now = Date.now();
+        this.creditPlayback(now - seconds * 1000, now, seconds > 0 ? contentSeconds / seconds : 1);
+    }
+
+    setActivityState(state) {
+        this.activityState = state;
+    }
+
+    reportAccumulatedTime() {
+        if (this.accumulatedWallTime > 0) {
+            const seconds = this.timeAccounting === 'content'
+                ? this.accumulatedContentTime
+                : this.accumulatedWallTime;
+            this.onTimeUpdate(seconds, {
+                wallTime: this.accumulatedWallTime,
+                contentTime: this.accumulatedContentTime
+            });
+            this.accumulatedWallTime = 0;
+            this.accumulatedContentTime = 0;
+            this.lastReportTime = Date.now();
+        }
     }
 }
 
 function createDetector(type, onTimeUpdate, options = {}) {
     switch (type) {
-        case 'video': return new VideoDetector(onTimeUpdate);
-        case 'reading': return new ReadingDetector(onTimeUpdate, options.idleTimeout);
-        case 'social': return new SocialDetector(onTimeUpdate, options.idleTimeout);
-        default: return new ReadingDetector(onTimeUpdate, options.idleTimeout);
+        case 'video': return new VideoDetector(onTimeUpdate, options);
+        case 'reading': return new ReadingDetector(onTimeUpdate, options.idleTimeout, options);
+        case 'social': return new SocialDetector(onTimeUpdate, options.idleTimeout, options);
+        case 'audio': return new AudioDetector(onTimeUpdate, options);
+        default: return new ReadingDetector(onTimeUpdate, options.idleTimeout, options);
     }
 }
 
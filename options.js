@@ -49,6 +49,12 @@ let editingCategory = null;
 let currentPeriod = 'day';
 let currentStats = null;
 let domainLimits = {};
+let channelLimits = {};
+let expandedDomain = null;  // Domain whose channels are shown in the website breakdown
+let settings = {};
+let urlRules = [];
+let keywordRules = [];
+let resolveUnlock = null;  // Pending requireUnlock() while the unlock modal is open
 
 // =====================
 // Initialization
@@ -147,13 +153,27 @@ async function loadData() {
         }
 
         // Get domain limits directly from storage (no date dependency)
-        const data = await chrome.storage.local.get(['domainLimits']);
+        const data = await chrome.storage.local.get(['domainLimits', 'channelLimits', 'settings', 'urlRules', 'keywordRules']);
         domainLimits = data.domainLimits || {};
+        channelLimits = data.channelLimits || {};
+        settings = data.settings || {};
+        urlRules = data.urlRules || [];
+        keywordRules = data.keywordRules || [];
 
         // getCategoryStatus already includes pending time via getCategoryUsage
         renderUsageSummaryFromStatus(allStatus);
         renderCategories();
         renderDomainLimits();
+        renderChannelLimits();
+        renderUrlRules();
+        renderKeywordRules();
+        renderSiteAdapters();
+        renderTimeBank(await chrome.runtime.sendMessage({ type: 'GET_TIME_BANK' }));
+        renderGlobalLimits();
+        renderExtensionSettings();
+        renderSettingsLock(await chrome.runtime.sendMessage({ type: 'GET_LOCK_STATUS' }));
+        renderCommitment();
+        renderPendingChanges(await chrome.runtime.sendMessage({ type: 'GET_PENDING_CHANGES' }));
     } catch (error) {
         console.error('Error loading data:', error);
     }
@@ -204,17 +224,24 @@ function renderStats(stats, period) {
 
     // Render domain breakdown
     renderDomainBreakdown(stats);
+    renderChannelBreakdown(stats);
 
     // Render category breakdown
     renderCategoryBreakdown(stats);
+
+    renderExtensionLog(stats);
 }
 
 function renderChart(stats, period) {
     const chartContainer = document.getElementById('barChart');
     const labelsContainer = document.getElementById('chartLabels');
+    const legend = document.getElementById('chartLegend');
 
     const byDate = stats.byDate || {};
     const dates = Object.keys(byDate).sort();
+    const adTimeOf = date => byDate[date].metrics?.adTime || 0;
+
+    legend.classList.toggle('hidden', !dates.some(d => adTimeOf(d) > 0));
 
     if (dates.length === 0) {
         chartContainer.innerHTML = `
@@ -227,19 +254,26 @@ function renderChart(stats, period) {
         return;
     }
 
-    // Find max value for scaling
-    const maxTime = Math.max(...dates.map(d => byDate[d].totalTime)) || 1;
+    // Find max value for scaling (ad time is its own series next to the counted total)
+    const maxTime = Math.max(...dates.map(d => Math.max(byDate[d].totalTime, adTimeOf(d)))) || 1;
 
     // Generate bars
     chartContainer.innerHTML = dates.map(date => {
         const dayData = byDate[date];
         const height = Math.max(5, (dayData.totalTime / maxTime) * 100);
         const formattedTime = formatTime(dayData.totalTime);
+        const adTime = adTimeOf(date);
 
         return `
             <div class="bar-wrapper">
-                <div class="bar" style="height: ${height}%">
-                    <div class="bar-tooltip">${formattedTime}</div>
+                <div class="bar-group">
+                    <div class="bar" style="height: ${height}%">
+                        <div class="bar-tooltip">${formattedTime}</div>
+                    </div>
+                    ${adTime > 0 ? `
+                    <div class="bar bar-ad" style="height: ${Math.max(5, (adTime / maxTime) * 100)}%">
+                        <div class="bar-tooltip">${i18n('statsAdDetail', formatTime(adTime))}</div>
+                    </div>` : ''}
                 </div>
             </div>
         `;
@@ -285,9 +319,11 @@ function renderDomainBreakdown(stats) {
     container.innerHTML = sortedDomains.map(([domain, time]) => {
         const percentage = (time / maxTime) * 100;
         const icon = domain.charAt(0).toUpperCase();
+        const channels = Object.entries(stats.byChannel?.[domain] || {});
+        const expanded = channels.length > 0 && expandedDomain === domain;
 
         return `
-            <div class="domain-item">
+            <div class="domain-item${channels.length > 0 ? ' expandable' : ''}${expanded ? ' expanded' : ''}" data-domain="${domain}">
                 <div class="domain-info">
                     <div class="domain-icon">${icon}</div>
                     <span class="domain-name">${domain}</span>
@@ -297,6 +333,122 @@ function renderDomainBreakdown(stats) {
                 </div>
                 <span class="domain-time">${formatTime(time)}</span>
             </div>
+            ${expanded ? renderDomainChannels(channels, time) : ''}
+        `;
+    }).join('');
+}
+
+/**
+ * Channel drill-down under a domain row; bars are relative to the domain's total
+ */
+function renderDomainChannels(channels, domainTime) {
+    const sortedChannels = channels
+        .map(([id, channel]) => ({ name: channel.name || id, time: channel.time }))
+        .sort((a, b) => b.time - a.time)
+        .slice(0, 10);
+    const attributed = sortedChannels.reduce((sum, channel) => sum + channel.time, 0);
+
+    return `
+        <div class="domain-channels">
+            ${sortedChannels.map(channel => `
+                <div class="domain-channel-item">
+                    <span class="domain-name">${escapeHtml(channel.name)}</span>
+                    <div class="domain-bar">
+                        <div class="domain-bar-fill" style="width: ${(channel.time / (domainTime || 1)) * 100}%"></div>
+                    </div>
+                    <span class="domain-time">${formatTime(channel.time)}</span>
+                </div>
+            `).join('')}
+            ${domainTime - attributed >= 60 ? `
+                <div class="domain-channel-item other">
+                    <span class="domain-name">${i18n('channelOther')}</span>
+                    <span class="domain-time">${formatTime(domainTime - attributed)}</span>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderChannelBreakdown(stats) {
+    const container = document.getElementById('channelBreakdown');
+
+    const channels = [];
+    for (const [domain, domainChannels] of Object.entries(stats.byChannel || {})) {
+        for (const [id, channel] of Object.entries(domainChannels)) {
+            channels.push({ domain, id, name: channel.name || id, time: channel.time });
+        }
+    }
+    const sortedChannels = channels.sort((a, b) => b.time - a.time).slice(0, 10);
+
+    if (sortedChannels.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">📺</div>
+                <p>${i18n('emptyNoChannels')}</p>
+            </div>
+        `;
+        return;
+    }
+
+    const maxTime = sortedChannels[0].time || 1;
+
+    container.innerHTML = sortedChannels.map(channel => {
+        const percentage = (channel.time / maxTime) * 100;
+        const icon = escapeHtml(channel.name.replace(/^@/, '').charAt(0).toUpperCase());
+
+        return `
+            <div class="domain-item">
+                <div class="domain-info">
+                    <div class="domain-icon">${icon}</div>
+                    <div class="domain-text">
+                        <span class="domain-name">${escapeHtml(channel.name)}</span>
+                        <span class="domain-detail">${escapeHtml(channel.domain)}</span>
+                    </div>
+                </div>
+                <div class="domain-bar">
+                    <div class="domain-bar-fill" style="width: ${percentage}%"></div>
+                </div>
+                <span class="domain-time">${formatTime(channel.time)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Limit extensions taken in the period, newest first, with the reason given for each
+ */
+function renderExtensionLog(stats) {
+    const container = document.getElementById('extensionLog');
+    const entries = [...(stats.extensions || [])].sort((a, b) => b.timestamp - a.timestamp);
+
+    if (entries.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">⏱️</div>
+                <p>${i18n('emptyNoExtensions')}</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = entries.map(entry => {
+        const category = categories[entry.categoryKey] || { name: entry.categoryKey };
+        const when = new Date(entry.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        const kind = i18n(entry.kind === 'session' ? 'extensionKindSession' : 'extensionKindDaily');
+        const friction = i18n(EXTENSION_FRICTION_LABELS[entry.friction] || 'frictionWait');
+
+        return `
+            <div class="domain-item">
+                <div class="domain-info">
+                    <div class="domain-icon">⏱️</div>
+                    <div class="domain-text">
+                        <span class="domain-name">${escapeHtml(category.name)} · ${kind}</span>
+                        <span class="domain-detail">${when} · ${friction}</span>
+                    </div>
+                </div>
+                <span class="extension-reason">${escapeHtml(entry.reason)}</span>
+                <span class="domain-time">+${formatTime(entry.duration)}</span>
+            </div>
         `;
     }).join('');
 }
@@ -305,8 +457,16 @@ function renderCategoryBreakdown(stats) {
     const container = document.getElementById('categoryBreakdown');
     const byCategory = stats.byCategory || {};
 
-    const sortedCategories = Object.entries(byCategory)
-        .sort((a, b) => b[1] - a[1]);
+    // Groups show the combined time of their children, and children are listed under their group
+    const rolledUp = key => (byCategory[key] || 0) +
+        Object.keys(byCategory).filter(k => k !== key && getCategoryAncestors(k).includes(key))
+            .reduce((sum, k) => sum + byCategory[k], 0);
+    const inTree = getCategoryTree((a, b) => rolledUp(b) - rolledUp(a));
+    const sortedCategories = [
+        ...inTree.map(([key, depth]) => [key, rolledUp(key), depth]),
+        // Categories that have since been deleted
+        ...Object.keys(byCategory).filter(key => !categories[key]).map(key => [key, byCategory[key], 0])
+    ].filter(([, time]) => time > 0);
 
     if (sortedCategories.length === 0) {
         container.innerHTML = `
@@ -318,18 +478,22 @@ function renderCategoryBreakdown(stats) {
         return;
     }
 
-    const maxTime = sortedCategories[0][1] || 1;
+    const maxTime = Math.max(...sortedCategories.map(([, time]) => time)) || 1;
 
-    container.innerHTML = sortedCategories.map(([key, time]) => {
+    container.innerHTML = sortedCategories.map(([key, time, depth]) => {
         const category = categories[key] || { name: key };
         const percentage = (time / maxTime) * 100;
         const limitText = category.dailyLimit ? ` ${i18n('statsCategoryLimit', formatTime(category.dailyLimit))}` : '';
+        const details = getCategoryMetricDetails(stats.metricsByCategory?.[key], time);
 
         return `
-            <div class="domain-item">
+            <div class="domain-item" style="margin-left: ${depth * 24}px">
                 <div class="domain-info">
-                    <div class="domain-icon">📁</div>
-                    <span class="domain-name">${category.name}</span>
+                    <div class="domain-icon">${category.type === 'group' ? '🗂️' : '📁'}</div>
+                    <div class="domain-text">
+                        <span class="domain-name">${category.name}</span>
+                        ${details.map(d => `<span class="domain-detail">${d}</span>`).join('')}
+                    </div>
                 </div>
                 <div class="domain-bar">
                     <div class="domain-bar-fill" style="width: ${percentage}%"></div>
@@ -340,6 +504,32 @@ function renderCategoryBreakdown(stats) {
     }).join('');
 }
 
+/**
+ * Secondary figures recorded next to a category's total (see USAGE_METRICS in storage.js)
+ */
+function getCategoryMetricDetails(metrics, categoryTime = 0) {
+    const details = [];
+    if (!metrics) return details;
+
+    if (metrics.wallTime) {
+        details.push(i18n('statsPlaybackDetail', formatTime(metrics.contentTime || 0), formatTime(metrics.wallTime)));
+    }
+    if (metrics.adTime) {
+        details.push(i18n('statsAdDetail', formatTime(metrics.adTime)));
+    }
+    if (metrics.composeTime) {
+        details.push(i18n('statsComposeDetail', formatTime(metrics.composeTime), formatTime(metrics.consumeTime || 0)));
+    }
+    if (metrics.postsSeen || metrics.screensScrolled) {
+        // Average velocity over the counted time; fast doomscrolling stands out even when few minutes pass
+        const minutes = categoryTime / 60;
+        const velocity = minutes > 0 ? (metrics.screensScrolled || 0) / minutes : 0;
+        details.push(i18n('statsFeedDetail', String(Math.round(metrics.postsSeen || 0)), velocity.toFixed(1)));
+    }
+
+    return details;
+}
+
 // =====================
 // Settings Rendering
 // =====================
@@ -362,8 +552,11 @@ function renderUsageSummaryFromStatus(allStatus) {
         // usage.totalTime already includes pending time (via getCategoryUsage)
         const totalTime = usage.totalTime;
 
-        const percentage = category.dailyLimit
-            ? Math.min(100, (totalTime / category.dailyLimit) * 100)
+        // Today's limits (weekday schedules applied by the background)
+        const { dailyLimit, sessionCount, carryOver, bankedTime, weeklyLimit, weeklyUsed } = status.limits || category;
+
+        const percentage = dailyLimit
+            ? Math.min(100, (totalTime / dailyLimit) * 100)
             : 0;
 
         const sessionsUsed = usage.sessionsCompleted + (state.inSession ? 1 : 0);
@@ -376,16 +569,26 @@ function renderUsageSummaryFromStatus(allStatus) {
             <div class="usage-item">
                 <div class="category-name">${category.name}</div>
                 <div class="time-used">${formatTime(totalTime)}</div>
-                <div class="time-limit">${i18n('ofLimit', formatTime(category.dailyLimit))}</div>
+                <div class="time-limit">${i18n('ofLimit', formatTime(dailyLimit))}${carryOver ? ` ${i18n('carriedOver', formatTime(carryOver))}` : ''}${bankedTime ? ` ${i18n('bankedTimeAdded', formatTime(bankedTime))}` : ''}</div>
                 <div class="progress-bar">
                     <div class="progress-fill ${progressClass}" style="width: ${percentage}%"></div>
                 </div>
-                ${category.sessionCount ? `
+                ${sessionCount ? `
                     <div class="sessions-info">
-                        ${i18n('sessionsUsed', String(sessionsUsed), String(category.sessionCount))}
+                        ${i18n('sessionsUsed', String(sessionsUsed), String(sessionCount))}
                         ${state.inRest ? ` ${i18n('resting')}` : ''}
                     </div>
                 ` : ''}
+                ${category.dailyPostLimit ? `
+                    <div class="sessions-info">
+                        ${i18n('postsSeenOfLimit', String(Math.round(usage.postsSeen || 0)), String(category.dailyPostLimit))}
+                    </div>
+                ` : ''}
+                ${weeklyLimit ? `
+                    <div class="sessions-info">
+                        ${i18n('weeklyUsedOfLimit', formatTime(weeklyUsed), formatTime(weeklyLimit))}
+                    </div>
+                ` : ''}
             </div>
         `;
     }).join('');
@@ -399,12 +602,15 @@ function renderCategories() {
         return;
     }
 
-    container.innerHTML = Object.entries(categories).map(([key, category]) => `
-        <div class="category-card" data-key="${key}">
+    // Tree order: each group followed by its children
+    container.innerHTML = getCategoryTree().map(([key, depth]) => ({ key, depth, category: categories[key] })).map(({ key, depth, category }) => `
+        <div class="category-card${depth > 0 ? ' child' : ''}" data-key="${key}" style="margin-left: ${depth * 24}px">
             <div class="info">
                 <div class="name">${category.name}</div>
                 <div class="details">
-                    ${category.domains.slice(0, 3).join(', ')}${category.domains.length > 3 ? ` +${category.domains.length - 3} more` : ''}
+                    ${category.type === 'group'
+                        ? i18n('groupContains', Object.values(categories).filter(c => c.parent === key).map(c => c.name).join(', ') || '—')
+                        : `${category.domains.slice(0, 3).join(', ')}${category.domains.length > 3 ? ` +${category.domains.length - 3} more` : ''}`}
                 </div>
             </div>
             <div class="status">
@@ -439,6 +645,119 @@ function renderDomainLimits() {
     `).join('');
 }
 
+function renderChannelLimits() {
+    const container = document.getElementById('channelLimitsContainer');
+
+    const entries = Object.entries(channelLimits)
+        .flatMap(([domain, limits]) => Object.entries(limits).map(([channel, config]) => ({ domain, channel, config })));
+
+    if (entries.length === 0) {
+        container.innerHTML = `<p style="color: rgba(255,255,255,0.4); font-size: 13px;">${i18n('emptyNoChannelLimits')}</p>`;
+        return;
+    }
+
+    container.innerHTML = entries.map(({ domain, channel, config }) => `
+        <div class="domain-limit-item" data-domain="${domain}" data-channel="${escapeHtml(channel)}">
+            <div class="limit-info">
+                <span class="limit-domain">${escapeHtml(channel)} <small>${domain}</small></span>
+                <span class="limit-value">${formatTime(config.dailyLimit)}/day</span>
+            </div>
+            <button class="remove-limit" title="Remove limit">×</button>
+        </div>
+    `).join('');
+}
+
+function renderUrlRules() {
+    const container = document.getElementById('urlRulesContainer');
+
+    // Target options follow the current category list
+    const actionSelect = document.getElementById('urlRuleAction');
+    const selected = actionSelect.value;
+    actionSelect.innerHTML = Object.entries(categories)
+        .map(([key, category]) => `<option value="${escapeHtml(key)}">${escapeHtml(category.name)}</option>`)
+        .join('') + `<option value="__exempt__">${i18n('urlRuleExempt')}</option>`;
+    if (selected) actionSelect.value = selected;
+
+    if (urlRules.length === 0) {
+        container.innerHTML = `<p style="color: rgba(255,255,255,0.4); font-size: 13px;">${i18n('emptyNoUrlRules')}</p>`;
+        return;
+    }
+
+    // Same order the background evaluates them in: priority descending, earlier rule first on ties
+    const ordered = urlRules
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+        .map(({ rule }) => rule);
+
+    container.innerHTML = ordered.map(rule => {
+        const query = (rule.query || [])
+            .map(q => q.value != null ? `${q.param}=${q.value}` : q.param)
+            .join('&');
+        const target = rule.action === 'exempt'
+            ? i18n('urlRuleExempt')
+            : (categories[rule.category]?.name || rule.category);
+
+        return `
+            <div class="domain-limit-item" data-rule-id="${rule.id}">
+                <div class="limit-info">
+                    <span class="limit-domain">${escapeHtml(rule.domain + (rule.matchType === 'regex' ? ` /${rule.pattern}/` : rule.pattern) + (query ? `?${query}` : ''))}</span>
+                    <span class="limit-value">${i18n('urlRuleSummary', escapeHtml(target), String(rule.priority || 0))}</span>
+                </div>
+                <button class="remove-limit" title="Remove rule">×</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderKeywordRules() {
+    const container = document.getElementById('keywordRulesContainer');
+
+    const actionSelect = document.getElementById('keywordRuleAction');
+    const selected = actionSelect.value;
+    actionSelect.innerHTML = Object.entries(categories)
+        .map(([key, category]) => `<option value="${escapeHtml(key)}">${escapeHtml(category.name)}</option>`)
+        .join('') +
+        `<option value="__exempt__">${i18n('urlRuleExempt')}</option>` +
+        `<option value="__block__">${i18n('keywordRuleBlock')}</option>`;
+    if (selected) actionSelect.value = selected;
+
+    if (keywordRules.length === 0) {
+        container.innerHTML = `<p style="color: rgba(255,255,255,0.4); font-size: 13px;">${i18n('emptyNoKeywordRules')}</p>`;
+        return;
+    }
+
+    // Same order the background evaluates them in: priority descending, earlier rule first on ties
+    const ordered = keywordRules
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+        .map(({ rule }) => rule);
+
+    container.innerHTML = ordered.map(rule => {
+        const target = rule.action === 'exempt' ? i18n('urlRuleExempt')
+            : rule.action === 'block' ? i18n('keywordRuleBlock')
+            : (categories[rule.category]?.name || rule.category);
+        const pattern = rule.matchType === 'regex' ? `/${rule.pattern}/` : rule.pattern;
+        const scope = [(rule.fields || ['title', 'ogTitle']).join('+'), rule.domain].filter(Boolean).join(' · ');
+
+        return `
+            <div class="domain-limit-item" data-rule-id="${rule.id}">
+                <div class="limit-info">
+                    <span class="limit-domain">${escapeHtml(pattern)} <small>${escapeHtml(scope)}</small></span>
+                    <span class="limit-value">${i18n('urlRuleSummary', escapeHtml(target), String(rule.priority || 0))}</span>
+                </div>
+                <button class="remove-limit" title="Remove rule">×</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderSiteAdapters() {
+    const adapters = settings.siteAdapters || [];
+    document.getElementById('siteAdaptersInput').value = adapters.length > 0
+        ? JSON.stringify(adapters, null, 2)
+        : '';
+}
+
 // =====================
 // Event Handlers
 // =====================
@@ -483,13 +802,35 @@ function setupEventListeners() {
 
     // Form submission
     document.getElementById('categoryForm').addEventListener('submit', saveCategory);
+    document.getElementById('categoryType').addEventListener('change', updateGroupFields);
 
     // Delete button
     document.getElementById('deleteCategory').addEventListener('click', deleteCategory);
 
     // Add period button
     document.getElementById('addPeriodBtn').addEventListener('click', () => {
-        addPeriodRow('22:00', '08:00');
+        addPeriodRow();
+        updateForbiddenPreview();
+    });
+
+    // Forbidden period rows: remove, switch kind, all-day toggle; any edit refreshes the preview
+    const periodsContainer = document.getElementById('forbiddenPeriods');
+    periodsContainer.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-period')) {
+            e.target.closest('.period-item').remove();
+            updateForbiddenPreview();
+        }
+    });
+    periodsContainer.addEventListener('change', (e) => {
+        const row = e.target.closest('.period-item');
+        if (e.target.classList.contains('period-kind')) {
+            row.dataset.kind = e.target.value;
+        } else if (e.target.classList.contains('period-all-day')) {
+            row.querySelectorAll('.period-start, .period-end').forEach(input => {
+                input.disabled = e.target.checked;
+            });
+        }
+        updateForbiddenPreview();
     });
 
     // Data management buttons
@@ -499,6 +840,42 @@ function setupEventListeners() {
 
     // Domain limits
     document.getElementById('addDomainLimitBtn').addEventListener('click', addDomainLimit);
+    document.getElementById('saveSiteAdaptersBtn').addEventListener('click', saveSiteAdapters);
+    document.getElementById('saveTimeBankBtn').addEventListener('click', saveTimeBankSettings);
+    document.getElementById('saveExtensionsBtn').addEventListener('click', saveExtensionSettings);
+
+    // Settings lock
+    document.getElementById('saveLockBtn').addEventListener('click', saveSettingsLock);
+    document.getElementById('removeLockBtn').addEventListener('click', removeSettingsLock);
+    document.getElementById('lockNowBtn').addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'LOCK_SETTINGS' });
+        renderSettingsLock(await chrome.runtime.sendMessage({ type: 'GET_LOCK_STATUS' }));
+    });
+    document.getElementById('unlockForm').addEventListener('submit', submitUnlock);
+    document.getElementById('closeUnlockModal').addEventListener('click', () => closeUnlockModal(false));
+    document.getElementById('cancelUnlock').addEventListener('click', () => closeUnlockModal(false));
+    document.querySelector('#unlockModal .modal-backdrop').addEventListener('click', () => closeUnlockModal(false));
+
+    // Commitment mode
+    document.getElementById('saveCommitmentBtn').addEventListener('click', saveCommitment);
+    document.getElementById('pendingChangesContainer').addEventListener('click', async (e) => {
+        if (e.target.classList.contains('remove-limit')) {
+            const item = e.target.closest('.domain-limit-item');
+            if (item) {
+                renderPendingChanges(await chrome.runtime.sendMessage({ type: 'CANCEL_PENDING_CHANGE', id: item.dataset.changeId }));
+            }
+        }
+    });
+    document.getElementById('saveGlobalLimitsBtn').addEventListener('click', saveGlobalLimits);
+    document.getElementById('addUrlRuleBtn').addEventListener('click', addUrlRule);
+    document.getElementById('urlRulesContainer').addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-limit')) {
+            const item = e.target.closest('.domain-limit-item');
+            if (item) {
+                removeUrlRule(item.dataset.ruleId);
+            }
+        }
+    });
     document.getElementById('domainLimitsContainer').addEventListener('click', (e) => {
         if (e.target.classList.contains('remove-limit')) {
             const item = e.target.closest('.domain-limit-item');
@@ -507,6 +884,37 @@ function setupEventListeners() {
             }
         }
     });
+
+    // Keyword rules
+    document.getElementById('addKeywordRuleBtn').addEventListener('click', addKeywordRule);
+    document.getElementById('keywordTestBtn').addEventListener('click', testKeywordRules);
+    document.getElementById('keywordRulesContainer').addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-limit')) {
+            const item = e.target.closest('.domain-limit-item');
+            if (item) {
+                removeKeywordRule(item.dataset.ruleId);
+            }
+        }
+    });
+
+    // Channel limits
+    document.getElementById('addChannelLimitBtn').addEventListener('click', addChannelLimit);
+    document.getElementById('channelLimitsContainer').addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-limit')) {
+            const item = e.target.closest('.domain-limit-item');
+            if (item) {
+                removeChannelLimit(item.dataset.domain, item.dataset.channel);
+            }
+        }
+    });
+
+    // Website breakdown: click a site to show its channels
+    document.getElementById('domainBreakdown').addEventListener('click', (e) => {
+        const item = e.target.closest('.domain-item.expandable');
+        if (!item || !currentStats) return;
+        expandedDomain = expandedDomain === item.dataset.domain ? null : item.dataset.domain;
+        renderDomainBreakdown(currentStats);
+    });
 }
 
 // =====================
@@ -533,14 +941,15 @@ async function addDomainLimit() {
     const dailyLimit = hours * 3600; // Convert to seconds
 
     try {
-        await chrome.runtime.sendMessage({
+        const result = await chrome.runtime.sendMessage({
             type: 'SET_DOMAIN_LIMIT',
             domain,
             dailyLimit
         });
-
-        domainLimits[domain] = { dailyLimit };
+        if (refusedByLock(result)) return;
+        domainLimits = result;
         renderDomainLimits();
+        await refreshPendingChanges();
 
         domainInput.value = '';
         limitInput.value = '1';
@@ -551,17 +960,19 @@ async function addDomainLimit() {
 }
 
 async function removeDomainLimit(domain) {
+    if (!(await requireUnlock())) return;
     if (!confirm(`Remove time limit for ${domain}?`)) return;
 
     try {
-        await chrome.runtime.sendMessage({
+        const result = await chrome.runtime.sendMessage({
             type: 'SET_DOMAIN_LIMIT',
             domain,
             dailyLimit: null
         });
-
-        delete domainLimits[domain];
+        if (refusedByLock(result)) return;
+        domainLimits = result;
         renderDomainLimits();
+        await refreshPendingChanges();
     } catch (error) {
         console.error('Error removing domain limit:', error);
         alert('Failed to remove domain limit');
@@ -569,118 +980,1255 @@ async function removeDomainLimit(domain) {
 }
 
 // =====================
-// Modal Management
+// Channel Limits Management
 // =====================
 
-function openModal(categoryKey) {
-    editingCategory = categoryKey;
-    const modal = document.getElementById('categoryModal');
-    const form = document.getElementById('categoryForm');
-    const deleteBtn = document.getElementById('deleteCategory');
-    const periodsContainer = document.getElementById('forbiddenPeriods');
+async function addChannelLimit() {
+    const domainInput = document.getElementById('newChannelDomainInput');
+    const channelInput = document.getElementById('newChannelInput');
+    const limitInput = document.getElementById('newChannelLimit');
 
-    form.reset();
-    periodsContainer.innerHTML = '';
+    const domain = domainInput.value.trim().toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '').replace(/\/.*$/, '');
+    const channel = channelInput.value.trim();
+    const hours = parseFloat(limitInput.value);
 
-    if (categoryKey && categories[categoryKey]) {
-        const category = categories[categoryKey];
+    if (!domain || !channel) {
+        alert('Please enter a domain and a channel');
+        return;
+    }
 
-        document.getElementById('modalTitle').textContent = i18n('editCategory');
-        deleteBtn.classList.remove('hidden');
+    if (!hours || hours <= 0) {
+        alert('Please enter a valid limit in hours');
+        return;
+    }
 
-        document.getElementById('categoryName').value = category.name;
-        document.getElementById('categoryType').value = category.type;
-        document.getElementById('categoryDomains').value = category.domains.join('\n');
-        document.getElementById('dailyLimit').value = category.dailyLimit / 3600;
-        document.getElementById('sessionDuration').value = category.sessionDuration / 60;
-        document.getElementById('sessionCount').value = category.sessionCount || '';
-        document.getElementById('restDuration').value = (category.restDuration || 0) / 60;
-        document.getElementById('idleTimeout').value = category.idleTimeout || 30;
-        document.getElementById('categoryEnabled').checked = category.enabled !== false;
+    const dailyLimit = hours * 3600; // Convert to seconds
 
-        if (category.forbiddenPeriods) {
-            category.forbiddenPeriods.forEach(period => {
-                addPeriodRow(period.start, period.end);
-            });
-        }
-    } else {
-        document.getElementById('modalTitle').textContent = i18n('addNewCategory');
-        deleteBtn.classList.add('hidden');
+    try {
+        const result = await chrome.runtime.sendMessage({
+            type: 'SET_CHANNEL_LIMIT',
+            domain,
+            channel,
+            dailyLimit
+        });
+        if (refusedByLock(result)) return;
+        channelLimits = result;
+        renderChannelLimits();
+        await refreshPendingChanges();
 
-        // Set defaults
-        document.getElementById('dailyLimit').value = 2;
-        document.getElementById('sessionDuration').value = 30;
-        document.getElementById('sessionCount').value = 4;
-        document.getElementById('restDuration').value = 10;
-        document.getElementById('idleTimeout').value = 30;
+        channelInput.value = '';
+        limitInput.value = '1';
+    } catch (error) {
+        console.error('Error setting channel limit:', error);
+        alert('Failed to set channel limit');
     }
-
-    modal.classList.remove('hidden');
 }
 
-function closeModal() {
-    document.getElementById('categoryModal').classList.add('hidden');
-    editingCategory = null;
-}
+async function removeChannelLimit(domain, channel) {
+    if (!(await requireUnlock())) return;
+    if (!confirm(`Remove time limit for ${channel}?`)) return;
 
-function addPeriodRow(start = '22:00', end = '08:00') {
-    const container = document.getElementById('forbiddenPeriods');
-    const row = document.createElement('div');
-    row.className = 'period-item';
-    row.innerHTML = `
-        <input type="time" class="period-start" value="${start}">
-        <span>to</span>
-        <input type="time" class="period-end" value="${end}">
-        <button type="button" class="remove-period" onclick="this.parentElement.remove()">×</button>
-    `;
-    container.appendChild(row);
+    try {
+        const result = await chrome.runtime.sendMessage({
+            type: 'SET_CHANNEL_LIMIT',
+            domain,
+            channel,
+            dailyLimit: null
+        });
+        if (refusedByLock(result)) return;
+        channelLimits = result;
+        renderChannelLimits();
+        await refreshPendingChanges();
+    } catch (error) {
+        console.error('Error removing channel limit:', error);
+        alert('Failed to remove channel limit');
+    }
 }
 
 // =====================
-// CRUD Operations
+// URL Rules
 // =====================
 
-async function saveCategory(e) {
-    e.preventDefault();
+/**
+ * Parse "list=PL123&feature" into [{ param: 'list', value: 'PL123' }, { param: 'feature', value: null }]
+ */
+function parseQueryConditions(text) {
+    return text.replace(/^\?/, '').split('&')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [param, ...rest] = part.split('=');
+            return { param: param.trim(), value: rest.length > 0 ? rest.join('=').trim() : null };
+        })
+        .filter(condition => condition.param);
+}
 
-    const name = document.getElementById('categoryName').value.trim();
-    const type = document.getElementById('categoryType').value;
-    const domainsText = document.getElementById('categoryDomains').value;
-    const domains = domainsText.split('\n')
-        .map(d => d.trim().toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, ''))
-        .filter(d => d.length > 0);
+async function addUrlRule() {
+    const domainInput = document.getElementById('urlRuleDomain');
+    const patternInput = document.getElementById('urlRulePattern');
+    const queryInput = document.getElementById('urlRuleQuery');
 
-    if (!name || domains.length === 0) {
-        alert('Please enter a name and at least one domain');
+    const domain = domainInput.value.trim().toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '').replace(/\/.*$/, '');
+    const matchType = document.getElementById('urlRuleMatchType').value;
+    let pattern = patternInput.value.trim();
+    const target = document.getElementById('urlRuleAction').value;
+    const priority = parseInt(document.getElementById('urlRulePriority').value) || 0;
+    const query = parseQueryConditions(queryInput.value);
+
+    if (!domain) {
+        alert('Please enter a domain');
         return;
     }
 
-    const key = editingCategory || name.toLowerCase().replace(/\s+/g, '_');
-
-    // Get forbidden periods
-    const forbiddenPeriods = [];
-    document.querySelectorAll('.period-item').forEach(row => {
-        const start = row.querySelector('.period-start').value;
-        const end = row.querySelector('.period-end').value;
-        if (start && end) {
-            forbiddenPeriods.push({ start, end });
+    if (matchType === 'regex') {
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            alert(`Invalid regular expression: ${error.message}`);
+            return;
         }
-    });
+    } else if (!pattern.startsWith('/')) {
+        // Prefix and glob patterns match the path, which always starts with "/"
+        pattern = '/' + pattern;
+    }
 
-    categories[key] = {
-        name,
-        type,
-        domains,
-        dailyLimit: parseFloat(document.getElementById('dailyLimit').value) * 3600,
-        sessionDuration: parseInt(document.getElementById('sessionDuration').value) * 60,
-        sessionCount: parseInt(document.getElementById('sessionCount').value) || null,
-        restDuration: parseInt(document.getElementById('restDuration').value) * 60,
+    if (!target) {
+        alert('Please choose a category');
+        return;
+    }
+
+    const rule = {
+        id: `rule_${Date.now().toString(36)}`,
+        domain,
+        matchType,
+        pattern,
+        query,
+        action: target === '__exempt__' ? 'exempt' : 'category',
+        category: target === '__exempt__' ? null : target,
+        priority,
+        enabled: true
+    };
+
+    // Exempting pages stops their time counting
+    if (rule.action === 'exempt' && !(await requireUnlock())) return;
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'ADD_URL_RULE', rule });
+        if (refusedByLock(result)) return;
+        urlRules = result.rules;
+        renderUrlRules();
+        await refreshPendingChanges();
+        notifyQueued(result.queued);
+
+        domainInput.value = '';
+        patternInput.value = '';
+        queryInput.value = '';
+    } catch (error) {
+        console.error('Error adding URL rule:', error);
+        alert('Failed to add URL rule');
+    }
+}
+
+async function removeUrlRule(ruleId) {
+    if (!confirm('Remove this URL rule?')) return;
+
+    // Removing a block or category rule stops it applying; removing an exempt rule only tightens
+    const rule = urlRules.find(r => r.id === ruleId);
+    if (rule?.action !== 'exempt' && !(await requireUnlock())) return;
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'REMOVE_URL_RULE', ruleId });
+        if (refusedByLock(result)) return;
+        urlRules = result.rules;
+        renderUrlRules();
+        await refreshPendingChanges();
+        notifyQueued(result.queued);
+    } catch (error) {
+        console.error('Error removing URL rule:', error);
+        alert('Failed to remove URL rule');
+    }
+}
+
+// =====================
+// Keyword Rules
+// =====================
+
+async function addKeywordRule() {
+    const patternInput = document.getElementById('keywordRulePattern');
+    const domainInput = document.getElementById('keywordRuleDomain');
+
+    const pattern = patternInput.value.trim();
+    const matchType = document.getElementById('keywordRuleMatchType').value;
+    const fields = document.getElementById('keywordRuleFields').value.split(',');
+    const domain = domainInput.value.trim().toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '').replace(/\/.*$/, '');
+    const target = document.getElementById('keywordRuleAction').value;
+    const priority = parseInt(document.getElementById('keywordRulePriority').value) || 0;
+
+    if (!pattern) {
+        alert('Please enter keywords or a pattern');
+        return;
+    }
+
+    if (matchType === 'regex') {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            alert(`Invalid regular expression: ${error.message}`);
+            return;
+        }
+    }
+
+    if (!target) {
+        alert('Please choose a category');
+        return;
+    }
+
+    const action = target === '__exempt__' ? 'exempt' : target === '__block__' ? 'block' : 'category';
+    const rule = {
+        id: `kw_${Date.now().toString(36)}`,
+        domain: domain || null,
+        fields,
+        matchType,
+        pattern,
+        action,
+        category: action === 'category' ? target : null,
+        priority,
+        enabled: true
+    };
+
+    if (rule.action === 'exempt' && !(await requireUnlock())) return;
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'ADD_KEYWORD_RULE', rule });
+        if (refusedByLock(result)) return;
+        keywordRules = result.rules;
+        renderKeywordRules();
+        await refreshPendingChanges();
+        notifyQueued(result.queued);
+
+        patternInput.value = '';
+        domainInput.value = '';
+    } catch (error) {
+        console.error('Error adding keyword rule:', error);
+        alert('Failed to add keyword rule');
+    }
+}
+
+async function removeKeywordRule(ruleId) {
+    if (!confirm('Remove this keyword rule?')) return;
+
+    const rule = keywordRules.find(r => r.id === ruleId);
+    if (rule?.action !== 'exempt' && !(await requireUnlock())) return;
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'REMOVE_KEYWORD_RULE', ruleId });
+        if (refusedByLock(result)) return;
+        keywordRules = result.rules;
+        renderKeywordRules();
+        await refreshPendingChanges();
+        notifyQueued(result.queued);
+    } catch (error) {
+        console.error('Error removing keyword rule:', error);
+        alert('Failed to remove keyword rule');
+    }
+}
+
+/**
+ * Resolve a sample page through the background, exactly as a content script would
+ */
+async function testKeywordRules() {
+    const resultEl = document.getElementById('keywordTestResult');
+    let url = document.getElementById('keywordTestUrl').value.trim();
+    const title = document.getElementById('keywordTestTitle').value.trim();
+    const ogType = document.getElementById('keywordTestOgType').value.trim();
+
+    if (!url) {
+        alert('Please enter a URL');
+        return;
+    }
+    if (!/^https?:\/\//i.test(url)) {
+        url = 'https://' + url;
+    }
+
+    try {
+        const category = await chrome.runtime.sendMessage({
+            type: 'GET_CATEGORY_FOR_URL',
+            url,
+            page: { title: title || null, ogTitle: title || null, ogType: ogType || null }
+        });
+
+        const matchedRule = keywordRules.find(rule => rule.id === category?.matchedKeywordRule);
+        const via = matchedRule ? i18n('keywordTestViaRule', escapeHtml(matchedRule.pattern)) : '';
+
+        if (!category) {
+            resultEl.textContent = i18n('keywordTestNotTracked');
+        } else if (category.keywordBlocked) {
+            resultEl.innerHTML = `${i18n('keywordTestBlocked')} ${via}`;
+        } else {
+            resultEl.innerHTML = `${i18n('keywordTestCategory', escapeHtml(category.name))} ${via}`;
+        }
+    } catch (error) {
+        console.error('Error testing keyword rules:', error);
+        resultEl.textContent = error.message;
+    }
+}
+
+// =====================
+// Global Limits
+// =====================
+
+/**
+ * Save a settings section through the background, which queues its loosening fields in
+ * commitment mode, then reload settings. Resolves false when the lock refused the change.
+ */
+async function saveSettingsSection(section, values) {
+    const result = await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS_SECTION', section, values });
+    if (refusedByLock(result)) return false;
+
+    const data = await chrome.storage.local.get(['settings']);
+    settings = data.settings || {};
+    await refreshPendingChanges();
+    notifyQueued(result.queued);
+    return true;
+}
+
+// Mirrors DEFAULT_SETTINGS.globalLimits in storage.js
+const DEFAULT_GLOBAL_REST = 600;
+
+/**
+ * Cross-category daily cap and session/break rules (settings.globalLimits)
+ */
+function renderGlobalLimits() {
+    const limits = settings.globalLimits || {};
+    document.getElementById('globalDailyLimit').value = limits.dailyLimit ? limits.dailyLimit / 3600 : '';
+    document.getElementById('globalSessionDuration').value = limits.sessionDuration ? limits.sessionDuration / 60 : '';
+    document.getElementById('globalRestDuration').value = (limits.restDuration || DEFAULT_GLOBAL_REST) / 60;
+}
+
+async function saveGlobalLimits() {
+    const dailyLimit = parseFloat(document.getElementById('globalDailyLimit').value);
+    const sessionDuration = parseFloat(document.getElementById('globalSessionDuration').value);
+    const restDuration = parseFloat(document.getElementById('globalRestDuration').value);
+
+    if (!(await requireUnlock())) return;
+
+    try {
+        if (!(await saveSettingsSection('globalLimits', {
+            dailyLimit: dailyLimit > 0 ? Math.round(dailyLimit * 3600) : null,
+            sessionDuration: sessionDuration > 0 ? Math.round(sessionDuration * 60) : null,
+            restDuration: restDuration > 0 ? Math.round(restDuration * 60) : DEFAULT_GLOBAL_REST
+        }))) return;
+        renderGlobalLimits();
+    } catch (error) {
+        console.error('Error saving global limits:', error);
+        alert('Failed to save global limits');
+    }
+}
+
+// =====================
+// Time Bank
+// =====================
+
+/**
+ * Balance and caps of the time bank (see "Time Bank" in storage.js)
+ */
+function renderTimeBank(bank) {
+    if (!bank) return;
+    document.getElementById('timeBankBalance').textContent = i18n('timeBankBalanceLine',
+        formatTime(bank.balance), formatTime(bank.earnedToday), formatTime(bank.spentToday));
+    document.getElementById('bankMaxBalance').value = bank.maxBalance / 3600;
+    document.getElementById('bankDailySpendCap').value = bank.dailySpendCap / 3600;
+    document.getElementById('bankSpendStep').value = bank.spendStep / 60;
+}
+
+async function saveTimeBankSettings() {
+    const maxBalance = parseFloat(document.getElementById('bankMaxBalance').value);
+    const dailySpendCap = parseFloat(document.getElementById('bankDailySpendCap').value);
+    const spendStep = parseFloat(document.getElementById('bankSpendStep').value);
+
+    if (!(maxBalance >= 0) || !(dailySpendCap >= 0) || !(spendStep > 0)) {
+        alert('Please enter a valid balance cap, daily spending cap and spend amount');
+        return;
+    }
+    if (!(await requireUnlock())) return;
+
+    try {
+        if (!(await saveSettingsSection('timeBank', {
+            maxBalance: Math.round(maxBalance * 3600),
+            dailySpendCap: Math.round(dailySpendCap * 3600),
+            spendStep: Math.round(spendStep * 60)
+        }))) return;
+        renderTimeBank(await chrome.runtime.sendMessage({ type: 'GET_TIME_BANK' }));
+    } catch (error) {
+        console.error('Error saving time bank settings:', error);
+        alert('Failed to save time bank settings');
+    }
+}
+
+// =====================
+// Limit Extensions
+// =====================
+
+// Mirrors DEFAULT_SETTINGS.extensions in storage.js
+const DEFAULT_EXTENSIONS = {
+    enabled: true,
+    friction: 'wait',
+    waitSeconds: 60,
+    sentence: 'I am choosing to spend more time here instead of taking a break.',
+    maxPerDay: 2,
+    duration: 600
+};
+
+const EXTENSION_FRICTION_LABELS = {
+    wait: 'frictionWait',
+    type: 'frictionType',
+    puzzle: 'frictionPuzzle'
+};
+
+/**
+ * Overlay extension rules (settings.extensions)
+ */
+function renderExtensionSettings() {
+    const extensions = { ...DEFAULT_EXTENSIONS, ...settings.extensions };
+    document.getElementById('extensionsEnabled').checked = extensions.enabled;
+    document.getElementById('extensionFriction').value = extensions.friction;
+    document.getElementById('extensionWaitSeconds').value = extensions.waitSeconds;
+    document.getElementById('extensionSentence').value = extensions.sentence;
+    document.getElementById('extensionMaxPerDay').value = extensions.maxPerDay;
+    document.getElementById('extensionDuration').value = extensions.duration / 60;
+}
+
+async function saveExtensionSettings() {
+    const waitSeconds = parseInt(document.getElementById('extensionWaitSeconds').value, 10);
+    const maxPerDay = parseInt(document.getElementById('extensionMaxPerDay').value, 10);
+    const duration = parseFloat(document.getElementById('extensionDuration').value);
+    const sentence = document.getElementById('extensionSentence').value.trim();
+
+    if (!(waitSeconds > 0) || !(maxPerDay >= 0) || !(duration > 0) || !sentence) {
+        alert('Please enter a valid wait time, sentence, daily number of extensions and extension length');
+        return;
+    }
+    if (!(await requireUnlock())) return;
+
+    try {
+        if (!(await saveSettingsSection('extensions', {
+            enabled: document.getElementById('extensionsEnabled').checked,
+            friction: document.getElementById('extensionFriction').value,
+            waitSeconds,
+            sentence,
+            maxPerDay,
+            duration: Math.round(duration * 60)
+        }))) return;
+        renderExtensionSettings();
+    } catch (error) {
+        console.error('Error saving extension settings:', error);
+        alert('Failed to save extension settings');
+    }
+}
+
+// =====================
+// Settings Lock
+// =====================
+
+/**
+ * Resolve true when guarded actions are allowed: no PIN set, an unlock session is running,
+ * or the PIN is entered in the unlock modal now. Resolves false when the modal is cancelled.
+ */
+async function requireUnlock() {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_LOCK_STATUS' });
+    if (!status?.enabled || status.unlocked) return true;
+
+    document.getElementById('unlockForm').reset();
+    document.getElementById('unlockError').textContent = '';
+    document.getElementById('unlockModal').classList.remove('hidden');
+    document.getElementById('unlockPin').focus();
+
+    return new Promise(resolve => {
+        resolveUnlock = resolve;
+    });
+}
+
+/**
+ * The background refuses loosening changes while locked, e.g. when the unlock session ran out
+ * between the prompt and the save. Tells the user and returns true in that case.
+ */
+function refusedByLock(result) {
+    if (result?.reason !== 'locked') return false;
+    alert(i18n('lockRequired'));
+    return true;
+}
+
+async function submitUnlock(e) {
+    e.preventDefault();
+    const result = await chrome.runtime.sendMessage({
+        type: 'UNLOCK_SETTINGS',
+        pin: document.getElementById('unlockPin').value
+    });
+
+    if (result?.success) {
+        closeUnlockModal(true);
+        renderSettingsLock(await chrome.runtime.sendMessage({ type: 'GET_LOCK_STATUS' }));
+        return;
+    }
+
+    document.getElementById('unlockPin').value = '';
+    document.getElementById('unlockError').textContent = result?.reason === 'locked_out'
+        ? i18n('lockLockedOut', new Date(result.lockedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))
+        : i18n('lockWrongPin', String(result?.remainingAttempts ?? 0));
+}
+
+function closeUnlockModal(unlocked) {
+    document.getElementById('unlockModal').classList.add('hidden');
+    if (resolveUnlock) {
+        resolveUnlock(unlocked);
+        resolveUnlock = null;
+    }
+}
+
+function renderSettingsLock(status) {
+    if (!status) return;
+
+    let line = i18n('lockStatusOff');
+    if (status.enabled) {
+        line = status.unlocked
+            ? i18n('lockStatusUnlocked', new Date(status.unlockedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))
+            : i18n('lockStatusLocked');
+    }
+    document.getElementById('lockStatus').textContent = line;
+    document.getElementById('lockUnlockTimeout').value = status.unlockTimeout / 60;
+    document.getElementById('lockNowBtn').classList.toggle('hidden', !status.enabled || !status.unlocked);
+    document.getElementById('removeLockBtn').classList.toggle('hidden', !status.enabled);
+}
+
+/**
+ * Set or change the PIN (when one is entered) and save the unlock timeout
+ */
+async function saveSettingsLock() {
+    const pinInput = document.getElementById('lockPin');
+    const confirmInput = document.getElementById('lockPinConfirm');
+    const unlockTimeout = parseFloat(document.getElementById('lockUnlockTimeout').value);
+
+    if (pinInput.value !== confirmInput.value) {
+        alert('The PINs do not match');
+        return;
+    }
+    if (!(unlockTimeout > 0)) {
+        alert('Please enter a valid unlock duration');
+        return;
+    }
+    if (!(await requireUnlock())) return;
+
+    try {
+        // Re-read so concurrent changes to other settings are not overwritten
+        const data = await chrome.storage.local.get(['settings']);
+        settings = {
+            ...data.settings,
+            lock: { ...data.settings?.lock, unlockTimeout: Math.round(unlockTimeout * 60) }
+        };
+        await chrome.storage.local.set({ settings });
+
+        if (pinInput.value) {
+            const result = await chrome.runtime.sendMessage({ type: 'SET_LOCK_PIN', pin: pinInput.value });
+            if (!result?.success) {
+                alert(result?.reason === 'too_short' ? 'The PIN must be at least 4 characters' : 'Failed to set the PIN');
+                return;
+            }
+        }
+
+        pinInput.value = '';
+        confirmInput.value = '';
+        renderSettingsLock(await chrome.runtime.sendMessage({ type: 'GET_LOCK_STATUS' }));
+    } catch (error) {
+        console.error('Error saving settings lock:', error);
+        alert('Failed to save settings lock');
+    }
+}
+
+async function removeSettingsLock() {
+    if (!(await requireUnlock())) return;
+    if (!confirm('Remove the PIN? Settings will no longer be locked.')) return;
+
+    await chrome.runtime.sendMessage({ type: 'SET_LOCK_PIN', pin: null });
+    renderSettingsLock(await chrome.runtime.sendMessage({ type: 'GET_LOCK_STATUS' }));
+}
+
+// =====================
+// Commitment Mode
+// =====================
+
+// Mirrors DEFAULT_SETTINGS.commitment in storage.js
+const DEFAULT_COMMITMENT_DELAY = 86400;
+
+// Category fields as named in the category editor
+const PENDING_FIELD_LABELS = {
+    dailyLimit: 'labelDailyLimit',
+    sessionDuration: 'labelSessionDuration',
+    sessionCount: 'labelSessionsPerDay',
+    restDuration: 'labelRestBetween',
+    weeklyLimit: 'labelWeeklyLimit',
+    dailyPostLimit: 'labelDailyPostLimit',
+    carryOverMax: 'labelCarryOverMax',
+    earnRatio: 'labelEarnRatio',
+    rollingLimit: 'labelRollingLimit',
+    weekdayLimits: 'labelWeekdaySchedule',
+    restEscalation: 'labelRestEscalation',
+    parent: 'labelParentGroup',
+    bankSpendable: 'labelBankSpendable',
+    enabled: 'enableTracking',
+    type: 'labelDetectionType',
+    idleTimeout: 'labelIdleTimeout',
+    timeAccounting: 'labelTimeAccounting',
+    composingWeight: 'labelComposingWeight',
+    countWhenUnfocused: 'labelCountWhenUnfocused',
+    adsCountTowardLimits: 'labelAdsCountTowardLimits',
+    videoFilters: 'labelVideoFilters',
+    channelRules: 'pendingChannelRules'
+};
+
+const PENDING_SECONDS_FIELDS = ['dailyLimit', 'sessionDuration', 'restDuration', 'weeklyLimit', 'carryOverMax',
+    'maxBalance', 'dailySpendCap', 'spendStep', 'waitSeconds', 'duration', 'idleTimeout'];
+
+// Settings sections (saveSettingsSection) and their fields as named on this page
+const PENDING_SETTINGS_LABELS = {
+    globalLimits: {
+        title: 'globalLimits',
+        dailyLimit: 'labelGlobalDailyLimit',
+        sessionDuration: 'labelGlobalSessionDuration',
+        restDuration: 'labelGlobalRestDuration'
+    },
+    timeBank: {
+        title: 'timeBank',
+        maxBalance: 'labelBankMaxBalance',
+        dailySpendCap: 'labelBankDailySpendCap',
+        spendStep: 'labelBankSpendStep'
+    },
+    extensions: {
+        title: 'extensions',
+        enabled: 'labelExtensionsEnabled',
+        waitSeconds: 'labelExtensionWaitSeconds',
+        maxPerDay: 'labelExtensionMaxPerDay',
+        duration: 'labelExtensionDuration'
+    }
+};
+
+function renderCommitment() {
+    const commitment = settings.commitment || {};
+    document.getElementById('commitmentEnabled').checked = !!commitment.enabled;
+    document.getElementById('commitmentDelay').value = (commitment.delay || DEFAULT_COMMITMENT_DELAY) / 3600;
+}
+
+async function saveCommitment() {
+    const delayHours = parseFloat(document.getElementById('commitmentDelay').value);
+    if (!(delayHours > 0)) {
+        alert('Please enter a valid delay in hours');
+        return;
+    }
+
+    try {
+        // Turning commitment mode off or shortening the delay is queued like any loosening change
+        const result = await chrome.runtime.sendMessage({
+            type: 'SET_COMMITMENT_SETTINGS',
+            commitment: {
+                enabled: document.getElementById('commitmentEnabled').checked,
+                delay: Math.round(delayHours * 3600)
+            }
+        });
+        const data = await chrome.storage.local.get(['settings']);
+        settings = data.settings || {};
+        renderCommitment();
+        await refreshPendingChanges();
+        notifyQueued(result.queued);
+    } catch (error) {
+        console.error('Error saving commitment mode:', error);
+        alert('Failed to save commitment mode');
+    }
+}
+
+/**
+ * Tell the user when (part of) a change was queued rather than applied
+ */
+function notifyQueued(queued) {
+    if (!queued?.length) return;
+    const appliesAt = new Date(queued[0].applyAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    alert(i18n('commitmentQueuedNotice', appliesAt));
+}
+
+async function refreshPendingChanges() {
+    renderPendingChanges(await chrome.runtime.sendMessage({ type: 'GET_PENDING_CHANGES' }));
+}
+
+/**
+ * Queued loosening changes with when they apply; × cancels one (keeping the stricter setting)
+ */
+function renderPendingChanges(changes) {
+    const container = document.getElementById('pendingChangesContainer');
+
+    if (!changes || changes.length === 0) {
+        container.innerHTML = `<p style="color: rgba(255,255,255,0.4); font-size: 13px;">${i18n('emptyNoPendingChanges')}</p>`;
+        return;
+    }
+
+    container.innerHTML = changes.map(change => {
+        const appliesAt = new Date(change.applyAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+        return `
+            <div class="domain-limit-item" data-change-id="${escapeHtml(change.id)}">
+                <div class="limit-info">
+                    <span class="limit-domain">${describePendingChange(change)}</span>
+                    <span class="limit-value">${i18n('pendingAppliesAt', appliesAt)}</span>
+                </div>
+                <button class="remove-limit" title="${escapeHtml(i18n('cancel'))}">×</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function describePendingChange(change) {
+    const categoryName = escapeHtml(categories[change.categoryKey]?.name || change.categoryKey || '');
+
+    switch (change.kind) {
+        case 'categoryField':
+            return `${categoryName} · ${i18n(PENDING_FIELD_LABELS[change.field] || change.field)} → ${escapeHtml(formatPendingValue(change.field, change.value))}`;
+        case 'removeForbiddenPeriod':
+            return i18n('pendingRemovePeriod', categoryName, escapeHtml(describePeriod(change.value)));
+        case 'addForbiddenPeriod':
+            return i18n('pendingAddException', categoryName, escapeHtml(describePeriod(change.value)));
+        case 'removeCategoryDomain':
+            return i18n('pendingRemoveDomain', escapeHtml(change.value), categoryName);
+        case 'deleteCategory':
+            return i18n('pendingDeleteCategory', categoryName);
+        case 'domainLimit':
+            return change.value == null
+                ? i18n('pendingRemoveDomainLimit', escapeHtml(change.domain))
+                : i18n('pendingRaiseDomainLimit', escapeHtml(change.domain), formatTime(change.value));
+        case 'channelLimit': {
+            const channel = escapeHtml(`${change.channel} (${change.domain})`);
+            return change.value == null
+                ? i18n('pendingRemoveDomainLimit', channel)
+                : i18n('pendingRaiseDomainLimit', channel, formatTime(change.value));
+        }
+        case 'settingsField': {
+            const labels = PENDING_SETTINGS_LABELS[change.section] || {};
+            return `${i18n(labels.title || change.section)} · ${i18n(labels[change.field] || change.field)} → ${escapeHtml(formatPendingValue(change.field, change.value))}`;
+        }
+        case 'addUrlRule':
+            return i18n('pendingAddExemptRule', escapeHtml(`${change.value.domain}${change.value.pattern}`));
+        case 'addKeywordRule':
+            return i18n('pendingAddExemptRule', escapeHtml(change.value.pattern));
+        case 'removeUrlRule':
+            return i18n('pendingRemoveRule', escapeHtml(`${change.value.domain}${change.value.pattern}`));
+        case 'removeKeywordRule':
+            return i18n('pendingRemoveRule', escapeHtml(change.value.pattern));
+        case 'commitment':
+            return change.value.enabled
+                ? i18n('pendingCommitmentDelay', formatTime(change.value.delay))
+                : i18n('pendingCommitmentOff');
+        default:
+            return escapeHtml(change.kind);
+    }
+}
+
+function describePeriod(period) {
+    if (period.startAt) return `${period.startAt.replace('T', ' ')} – ${period.endAt.replace('T', ' ')}`;
+    const dates = period.from || period.until ? `${period.from || '…'} – ${period.until || '…'}` : '';
+    const times = period.start && period.end ? `${period.start}–${period.end}` : i18n('pendingValueAllDay');
+    return [dates, times].filter(Boolean).join(' ');
+}
+
+function formatPendingValue(field, value) {
+    if (['enabled', 'bankSpendable', 'countWhenUnfocused', 'adsCountTowardLimits'].includes(field)) {
+        return i18n(value ? 'pendingValueOn' : 'pendingValueOff');
+    }
+    if (field === 'composingWeight') return String(value ?? 1);
+    if (value == null || value === 0) return i18n('pendingValueNone');
+    if (PENDING_SECONDS_FIELDS.includes(field)) return formatTime(value);
+    if (field === 'rollingLimit') return `${formatTime(value.limit)} / ${formatTime(value.window)}`;
+    if (field === 'parent') return categories[value]?.name || value;
+    if (field === 'weekdayLimits' || field === 'restEscalation') return i18n('pendingValueSchedule');
+    if (field === 'videoFilters' || field === 'channelRules') return i18n('pendingValueUpdated');
+    if (field === 'type') return i18n('type' + value.charAt(0).toUpperCase() + value.slice(1));
+    if (field === 'timeAccounting') return i18n(value === 'content' ? 'timeAccountingContent' : 'timeAccountingWallclock');
+    return String(value);
+}
+
+// =====================
+// Site Adapters
+// =====================
+
+async function saveSiteAdapters() {
+    const text = document.getElementById('siteAdaptersInput').value.trim();
+    let adapters = [];
+
+    if (text) {
+        try {
+            adapters = JSON.parse(text);
+        } catch (error) {
+            alert(`Invalid JSON: ${error.message}`);
+            return;
+        }
+
+        // Same shape check as isValidAdapterDefinition in siteAdapters.js
+        const invalid = !Array.isArray(adapters) || adapters.some(a =>
+            !a || typeof a.id !== 'string' || !a.id ||
+            !Array.isArray(a.domains) || a.domains.length === 0 ||
+            !a.domains.every(d => typeof d === 'string'));
+        if (invalid) {
+            alert('Site adapters must be an array of objects, each with an "id" string and a non-empty "domains" array');
+            return;
+        }
+    }
+
+    if (!(await requireUnlock())) return;
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'SAVE_SITE_ADAPTERS', adapters });
+        if (refusedByLock(result)) return;
+        settings = { ...settings, siteAdapters: result.adapters };
+        renderSiteAdapters();
+        alert('Site adapters saved. Reload open tabs to apply them.');
+    } catch (error) {
+        console.error('Error saving site adapters:', error);
+        alert('Failed to save site adapters');
+    }
+}
+
+// =====================
+// Modal Management
+// =====================
+
+async function openModal(categoryKey) {
+    editingCategory = categoryKey;
+    const modal = document.getElementById('categoryModal');
+    const form = document.getElementById('categoryForm');
+    const deleteBtn = document.getElementById('deleteCategory');
+    const periodsContainer = document.getElementById('forbiddenPeriods');
+
+    form.reset();
+    periodsContainer.innerHTML = '';
+
+    // Categories from before the filters existed show them off until the user turns them on
+    const videoFilters = await chrome.runtime.sendMessage({ type: 'GET_VIDEO_FILTERS', categoryKey });
+    document.getElementById('filterIgnoreMuted').checked = videoFilters.ignoreMuted;
+    document.getElementById('filterIgnoreOffscreen').checked = videoFilters.ignoreOffscreen;
+    document.getElementById('filterRequireGesture').checked = videoFilters.requireUserGesture;
+    document.getElementById('filterMinWidth').value = videoFilters.minWidth;
+
+    // Allowlisted channels are either exempt or routed to another category
+    const channelRules = categories[categoryKey]?.channelRules || {};
+    const allowActionSelect = document.getElementById('channelAllowAction');
+    allowActionSelect.innerHTML = `<option value="__exempt__">${i18n('channelAllowExempt')}</option>` +
+        Object.entries(categories)
+            .filter(([key]) => key !== categoryKey)
+            .map(([key, category]) => `<option value="${key}">${i18n('channelAllowRoute', escapeHtml(category.name))}</option>`)
+            .join('');
+    allowActionSelect.value = channelRules.allowAction === 'category' && categories[channelRules.allowCategory]
+        ? channelRules.allowCategory
+        : '__exempt__';
+    renderWeekdaySchedule(categories[categoryKey]?.weekdayLimits || {});
+
+    // Parent: any group except this category and groups below it (no cycles)
+    const parentSelect = document.getElementById('categoryParent');
+    parentSelect.innerHTML = `<option value="">${i18n('parentGroupNone')}</option>` +
+        Object.entries(categories)
+            .filter(([key, category]) => category.type === 'group' && key !== categoryKey &&
+                !(categoryKey && getCategoryAncestors(key).includes(categoryKey)))
+            .map(([key, category]) => `<option value="${key}">${escapeHtml(category.name)}</option>`)
+            .join('');
+    parentSelect.value = categories[categoryKey]?.parent && categories[categories[categoryKey].parent]
+        ? categories[categoryKey].parent
+        : '';
+
+    document.getElementById('allowedChannels').value = (channelRules.allow || []).join('\n');
+    document.getElementById('blockedChannels').value = (channelRules.block || []).join('\n');
+
+    if (categoryKey && categories[categoryKey]) {
+        const category = categories[categoryKey];
+
+        document.getElementById('modalTitle').textContent = i18n('editCategory');
+        deleteBtn.classList.remove('hidden');
+
+        document.getElementById('categoryName').value = category.name;
+        document.getElementById('categoryType').value = category.type;
+        document.getElementById('categoryDomains').value = category.domains.join('\n');
+        document.getElementById('dailyLimit').value = category.dailyLimit / 3600;
+        document.getElementById('sessionDuration').value = category.sessionDuration / 60;
+        document.getElementById('sessionCount').value = category.sessionCount || '';
+        document.getElementById('restDuration').value = (category.restDuration || 0) / 60;
+        renderRestEscalation(category.restEscalation);
+        document.getElementById('earnRatio').value = String(category.earnRatio || 0);
+        document.getElementById('bankSpendable').checked = !!category.bankSpendable;
+        document.getElementById('weeklyLimit').value = category.weeklyLimit ? category.weeklyLimit / 3600 : '';
+        document.getElementById('carryOverMax').value = category.carryOverMax ? category.carryOverMax / 60 : '';
+        document.getElementById('rollingLimit').value = category.rollingLimit ? category.rollingLimit.limit / 60 : '';
+        document.getElementById('rollingWindow').value = category.rollingLimit ? category.rollingLimit.window / 3600 : '';
+        document.getElementById('idleTimeout').value = category.idleTimeout || 30;
+        document.getElementById('dailyPostLimit').value = category.dailyPostLimit || '';
+        document.getElementById('composingWeight').value = String(category.composingWeight ?? 1);
+        document.getElementById('timeAccounting').value = category.timeAccounting || 'wallclock';
+        document.getElementById('adsCountTowardLimits').checked = !!category.adsCountTowardLimits;
+        // Mirrors getCountWhenUnfocused() in content.js
+        document.getElementById('countWhenUnfocused').checked = category.countWhenUnfocused ?? category.type === 'video';
+        document.getElementById('categoryEnabled').checked = category.enabled !== false;
+
+        if (category.forbiddenPeriods) {
+            category.forbiddenPeriods.forEach(period => {
+                addPeriodRow(period);
+            });
+        }
+    } else {
+        document.getElementById('modalTitle').textContent = i18n('addNewCategory');
+        deleteBtn.classList.add('hidden');
+
+        // Set defaults
+        document.getElementById('dailyLimit').value = 2;
+        document.getElementById('sessionDuration').value = 30;
+        document.getElementById('sessionCount').value = 4;
+        document.getElementById('restDuration').value = 10;
+        document.getElementById('earnRatio').value = '0';
+        document.getElementById('bankSpendable').checked = false;
+        document.getElementById('weeklyLimit').value = '';
+        document.getElementById('carryOverMax').value = '';
+        document.getElementById('rollingLimit').value = '';
+        document.getElementById('rollingWindow').value = '';
+        document.getElementById('idleTimeout').value = 30;
+        document.getElementById('dailyPostLimit').value = '';
+        document.getElementById('composingWeight').value = '1';
+        document.getElementById('timeAccounting').value = 'wallclock';
+        document.getElementById('adsCountTowardLimits').checked = false;
+        document.getElementById('countWhenUnfocused').checked = false;
+    }
+
+    updateGroupFields();
+    updateForbiddenPreview();
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Groups have no domains of their own; hide the field for them
+ */
+/**
+ * A group only passes its daily limit, sessions/breaks and forbidden periods down to its children
+ * (see getGroupStates in sessionManager.js), so its other fields are hidden
+ */
+function updateGroupFields() {
+    const isGroup = document.getElementById('categoryType').value === 'group';
+    document.querySelectorAll('#categoryForm .category-only').forEach(el => el.classList.toggle('hidden', isGroup));
+    document.getElementById('weekdaySchedule').classList.toggle('group-schedule', isGroup);
+}
+
+function closeModal() {
+    document.getElementById('categoryModal').classList.add('hidden');
+    editingCategory = null;
+}
+
+/**
+ * Per-day-of-week overrides of the daily limit, session length and session count.
+ * Empty inputs fall back to the category's values (see getCategoryForDay in storage.js).
+ */
+function renderWeekdaySchedule(weekdayLimits) {
+    const container = document.getElementById('weekdaySchedule');
+    const days = settings.weekStartsOnMonday === false ? [0, 1, 2, 3, 4, 5, 6] : [1, 2, 3, 4, 5, 6, 0];
+    const value = (v, divisor) => v != null ? v / divisor : '';
+
+    container.innerHTML = `
+        <div class="weekday-row weekday-header">
+            <span></span>
+            <span>${i18n('scheduleColumnDaily')}</span>
+            <span>${i18n('scheduleColumnSession')}</span>
+            <span>${i18n('scheduleColumnSessions')}</span>
+        </div>
+    ` + days.map(day => {
+        const limits = weekdayLimits[day] || {};
+        // 2024-01-07 was a Sunday, so day 0..6 maps onto Sunday..Saturday
+        const label = new Date(2024, 0, 7 + day).toLocaleDateString(undefined, { weekday: 'short' });
+        return `
+            <div class="weekday-row" data-day="${day}">
+                <span class="weekday-label">${label}</span>
+                <input type="number" class="weekday-daily" min="0" step="0.25" placeholder="—" value="${value(limits.dailyLimit, 3600)}">
+                <input type="number" class="weekday-session" min="0" step="5" placeholder="—" value="${value(limits.sessionDuration, 60)}">
+                <input type="number" class="weekday-sessions" min="1" max="20" placeholder="—" value="${value(limits.sessionCount, 1)}">
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Rest escalation inputs (schema: see getRestDuration in storage.js). The step is minutes for
+ * 'linear' and a factor for 'multiplier'.
+ */
+function renderRestEscalation(escalation) {
+    const value = (v, divisor) => v ? v / divisor : '';
+    document.getElementById('restEscalationMode').value = escalation?.mode || '';
+    document.getElementById('restEscalationStep').value = escalation?.mode === 'linear'
+        ? value(escalation.step, 60)
+        : value(escalation?.step, 1);
+    document.getElementById('restMaxRest').value = value(escalation?.maxRest, 60);
+    document.getElementById('longBreakEvery').value = value(escalation?.longBreakEvery, 1);
+    document.getElementById('longBreakDuration').value = value(escalation?.longBreakDuration, 60);
+    document.getElementById('eveningStart').value = escalation?.eveningStart || '';
+    document.getElementById('eveningGap').value = value(escalation?.eveningGap, 60);
+}
+
+function readRestEscalation() {
+    const number = (id) => parseFloat(document.getElementById(id).value) || 0;
+    const mode = document.getElementById('restEscalationMode').value;
+    const step = number('restEscalationStep');
+    const escalation = {};
+
+    if (mode && step > 0) {
+        escalation.mode = mode;
+        escalation.step = mode === 'linear' ? Math.round(step * 60) : step;
+        if (number('restMaxRest') > 0) escalation.maxRest = Math.round(number('restMaxRest') * 60);
+    }
+    if (number('longBreakEvery') > 0 && number('longBreakDuration') > 0) {
+        escalation.longBreakEvery = Math.round(number('longBreakEvery'));
+        escalation.longBreakDuration = Math.round(number('longBreakDuration') * 60);
+    }
+    const eveningStart = document.getElementById('eveningStart').value;
+    if (eveningStart && number('eveningGap') > 0) {
+        escalation.eveningStart = eveningStart;
+        escalation.eveningGap = Math.round(number('eveningGap') * 60);
+    }
+
+    return Object.keys(escalation).length > 0 ? escalation : null;
+}
+
+function readWeekdaySchedule() {
+    const weekdayLimits = {};
+    const read = (row, selector, multiplier) => {
+        const raw = row.querySelector(selector).value;
+        return raw === '' ? null : Math.round(parseFloat(raw) * multiplier);
+    };
+
+    document.querySelectorAll('#weekdaySchedule .weekday-row[data-day]').forEach(row => {
+        const limits = {
+            dailyLimit: read(row, '.weekday-daily', 3600),
+            sessionDuration: read(row, '.weekday-session', 60),
+            sessionCount: read(row, '.weekday-sessions', 1)
+        };
+        if (Object.values(limits).some(v => v != null && !Number.isNaN(v))) {
+            weekdayLimits[row.dataset.day] = Object.fromEntries(
+                Object.entries(limits).filter(([, v]) => v != null && !Number.isNaN(v))
+            );
+        }
+    });
+
+    return weekdayLimits;
+}
+
+/**
+ * One forbidden period editor row (schema: see "Forbidden Periods" in storage.js).
+ * The row's data-kind attribute switches between the recurring and one-off inputs.
+ */
+function addPeriodRow(period = { start: '22:00', end: '08:00' }) {
+    const container = document.getElementById('forbiddenPeriods');
+    const kind = period.kind || 'block';
+    const allDay = kind !== 'once' && (!period.start || !period.end);
+    const days = settings.weekStartsOnMonday === false ? [0, 1, 2, 3, 4, 5, 6] : [1, 2, 3, 4, 5, 6, 0];
+    const selectedDays = period.days?.length ? period.days : days;
+
+    const row = document.createElement('div');
+    row.className = 'period-item';
+    row.dataset.kind = kind;
+    row.innerHTML = `
+        <div class="period-line">
+            <select class="period-kind">
+                <option value="block"${kind === 'block' ? ' selected' : ''}>${i18n('periodKindBlock')}</option>
+                <option value="exception"${kind === 'exception' ? ' selected' : ''}>${i18n('periodKindException')}</option>
+                <option value="once"${kind === 'once' ? ' selected' : ''}>${i18n('periodKindOnce')}</option>
+            </select>
+            <span class="period-recurring">
+                <input type="time" class="period-start" value="${period.start || '00:00'}"${allDay ? ' disabled' : ''}>
+                <span>${i18n('periodTo')}</span>
+                <input type="time" class="period-end" value="${period.end || '00:00'}"${allDay ? ' disabled' : ''}>
+                <label class="checkbox-label"><input type="checkbox" class="period-all-day"${allDay ? ' checked' : ''}><span>${i18n('periodAllDay')}</span></label>
+            </span>
+            <span class="period-once">
+                <input type="datetime-local" class="period-start-at" value="${period.startAt || ''}">
+                <span>${i18n('periodTo')}</span>
+                <input type="datetime-local" class="period-end-at" value="${period.endAt || ''}">
+            </span>
+            <button type="button" class="remove-period">×</button>
+        </div>
+        <div class="period-line period-recurring">
+            <span class="period-days">
+                ${days.map(day => `
+                    <label class="period-day">
+                        <input type="checkbox" value="${day}"${selectedDays.includes(day) ? ' checked' : ''}>
+                        <span>${new Date(2024, 0, 7 + day).toLocaleDateString(undefined, { weekday: 'narrow' })}</span>
+                    </label>
+                `).join('')}
+            </span>
+            <input type="date" class="period-from" value="${period.from || ''}" title="${i18n('periodFrom')}">
+            <span>–</span>
+            <input type="date" class="period-until" value="${period.until || ''}" title="${i18n('periodUntil')}">
+        </div>
+    `;
+    container.appendChild(row);
+}
+
+/**
+ * Read the editor rows back into forbidden periods, leaving out fields that keep their defaults
+ */
+function readPeriodRows() {
+    const periods = [];
+
+    document.querySelectorAll('#forbiddenPeriods .period-item').forEach(row => {
+        const kind = row.querySelector('.period-kind').value;
+
+        if (kind === 'once') {
+            const startAt = row.querySelector('.period-start-at').value;
+            const endAt = row.querySelector('.period-end-at').value;
+            if (startAt && endAt && endAt > startAt) {
+                periods.push({ kind, startAt, endAt });
+            }
+            return;
+        }
+
+        const period = kind === 'exception' ? { kind } : {};
+        if (!row.querySelector('.period-all-day').checked) {
+            const start = row.querySelector('.period-start').value;
+            const end = row.querySelector('.period-end').value;
+            if (!start || !end) return;
+            period.start = start;
+            period.end = end;
+        }
+
+        const days = [...row.querySelectorAll('.period-day input:checked')].map(input => parseInt(input.value));
+        if (days.length === 0) return;
+        if (days.length < 7) period.days = days.sort();
+
+        const from = row.querySelector('.period-from').value;
+        const until = row.querySelector('.period-until').value;
+        if (from) period.from = from;
+        if (until) period.until = until;
+
+        periods.push(period);
+    });
+
+    return periods;
+}
+
+const FORBIDDEN_PREVIEW_DAYS = 7;
+const FORBIDDEN_PREVIEW_MAX_WINDOWS = 14;
+
+/**
+ * List the blocked windows of the next week for the periods currently in the editor
+ */
+async function updateForbiddenPreview() {
+    const container = document.getElementById('forbiddenPreview');
+    const periods = readPeriodRows();
+
+    if (periods.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const from = Date.now();
+    const to = from + FORBIDDEN_PREVIEW_DAYS * 24 * 60 * 60 * 1000;
+    const windows = await chrome.runtime.sendMessage({ type: 'PREVIEW_FORBIDDEN_PERIODS', periods, from, to }) || [];
+
+    const format = (time) => new Date(time).toLocaleString(undefined, {
+        weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    container.innerHTML = `
+        <div class="preview-title">${i18n('forbiddenPreviewTitle')}</div>
+        ${windows.length === 0 ? `<div>${i18n('forbiddenPreviewNone')}</div>` : ''}
+        ${windows.slice(0, FORBIDDEN_PREVIEW_MAX_WINDOWS).map(w => `<div>${format(w.start)} – ${format(w.end)}</div>`).join('')}
+        ${windows.length > FORBIDDEN_PREVIEW_MAX_WINDOWS ? '<div>…</div>' : ''}
+    `;
+}
+
+// =====================
+// CRUD Operations
+// =====================
+
+async function saveCategory(e) {
+    e.preventDefault();
+
+    const name = document.getElementById('categoryName').value.trim();
+    const type = document.getElementById('categoryType').value;
+    const domainsText = document.getElementById('categoryDomains').value;
+    // Groups have no sites of their own; their children do
+    const domains = type === 'group' ? [] : domainsText.split('\n')
+        .map(d => d.trim().toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, ''))
+        .filter(d => d.length > 0);
+
+    if (!name || (domains.length === 0 && type !== 'group')) {
+        alert('Please enter a name and at least one domain');
+        return;
+    }
+
+    const key = editingCategory || name.toLowerCase().replace(/\s+/g, '_');
+
+    // Adding must never overwrite an existing category (that would bypass the settings lock)
+    if (!editingCategory && categories[key]) {
+        alert('A category with this name already exists');
+        return;
+    }
+
+    const parseChannelList = (id) => document.getElementById(id).value.split('\n')
+        .map(c => c.trim())
+        .filter(c => c.length > 0);
+    const allowTarget = document.getElementById('channelAllowAction').value;
+    const channelRules = {
+        allow: parseChannelList('allowedChannels'),
+        block: parseChannelList('blockedChannels'),
+        allowAction: allowTarget === '__exempt__' ? 'exempt' : 'category',
+        allowCategory: allowTarget === '__exempt__' ? null : allowTarget
+    };
+
+    // Rolling window needs both a limit (minutes) and a window (hours, up to MAX_ROLLING_WINDOW)
+    const rollingLimitMinutes = parseFloat(document.getElementById('rollingLimit').value);
+    const rollingWindowHours = Math.min(24, parseFloat(document.getElementById('rollingWindow').value));
+    const rollingLimit = rollingLimitMinutes > 0 && rollingWindowHours > 0
+        ? { window: Math.round(rollingWindowHours * 3600), limit: Math.round(rollingLimitMinutes * 60) }
+        : null;
+
+    // Editing (or disabling) an existing category is guarded; adding a new one is not
+    if (categories[key] && !(await requireUnlock())) return;
+
+    // Get forbidden periods
+    const forbiddenPeriods = readPeriodRows();
+
+    const category = {
+        name,
+        type,
+        parent: document.getElementById('categoryParent').value || null,
+        domains,
+        dailyLimit: parseFloat(document.getElementById('dailyLimit').value) * 3600,
+        sessionDuration: parseInt(document.getElementById('sessionDuration').value) * 60,
+        sessionCount: parseInt(document.getElementById('sessionCount').value) || null,
+        restDuration: parseInt(document.getElementById('restDuration').value) * 60,
+        restEscalation: readRestEscalation(),
+        weeklyLimit: Math.round(parseFloat(document.getElementById('weeklyLimit').value) * 3600) || null,
+        carryOverMax: Math.round(parseFloat(document.getElementById('carryOverMax').value) * 60) || 0,
+        earnRatio: parseFloat(document.getElementById('earnRatio').value) || 0,
+        bankSpendable: document.getElementById('bankSpendable').checked,
+        rollingLimit,
         idleTimeout: parseInt(document.getElementById('idleTimeout').value) || 30,
+        dailyPostLimit: parseInt(document.getElementById('dailyPostLimit').value) || null,
+        composingWeight: parseFloat(document.getElementById('composingWeight').value),
+        timeAccounting: document.getElementById('timeAccounting').value,
+        adsCountTowardLimits: document.getElementById('adsCountTowardLimits').checked,
+        countWhenUnfocused: document.getElementById('countWhenUnfocused').checked,
+        videoFilters: {
+            ignoreMuted: document.getElementById('filterIgnoreMuted').checked,
+            minWidth: parseInt(document.getElementById('filterMinWidth').value) || 0,
+            ignoreOffscreen: document.getElementById('filterIgnoreOffscreen').checked,
+            requireUserGesture: document.getElementById('filterRequireGesture').checked
+        },
+        weekdayLimits: readWeekdaySchedule(),
+        channelRules,
         forbiddenPeriods,
         enabled: document.getElementById('categoryEnabled').checked
     };
 
-    await chrome.storage.local.set({ categories });
+    // In commitment mode the background saves the stricter parts now and queues the rest
+    const result = await chrome.runtime.sendMessage({ type: 'SAVE_CATEGORY', categoryKey: key, category });
+    if (refusedByLock(result)) return;
+    categories[key] = result.category;
+    notifyQueued(result.queued);
 
     closeModal();
     renderCategories();
@@ -689,10 +2237,12 @@ async function saveCategory(e) {
 
 async function deleteCategory() {
     if (!editingCategory) return;
+    if (!(await requireUnlock())) return;
 
     if (confirm(`Are you sure you want to delete "${categories[editingCategory].name}"?`)) {
-        delete categories[editingCategory];
-        await chrome.storage.local.set({ categories });
+        const result = await chrome.runtime.sendMessage({ type: 'DELETE_CATEGORY', categoryKey: editingCategory });
+        if (refusedByLock(result)) return;
+        notifyQueued(result.queued);
 
         closeModal();
         renderCategories();
@@ -721,6 +2271,7 @@ async function exportData() {
 }
 
 async function resetToday() {
+    if (!(await requireUnlock())) return;
     if (confirm('Reset all of today\'s usage data? This cannot be undone.')) {
         const data = await chrome.storage.local.get(['usage', 'activeState']);
         const usage = data.usage || {};
@@ -740,6 +2291,7 @@ async function resetToday() {
 }
 
 async function clearAllData() {
+    if (!(await requireUnlock())) return;
     if (confirm('Delete ALL data including categories and history? This cannot be undone.')) {
         if (confirm('Are you REALLY sure?')) {
             await chrome.storage.local.clear();
@@ -758,6 +2310,37 @@ async function clearAllData() {
 // Utilities
 // =====================
 
+/**
+ * Parent groups of a category, nearest first. Mirrors getCategoryAncestors in storage.js.
+ */
+function getCategoryAncestors(categoryKey) {
+    const ancestors = [];
+    let parentKey = categories[categoryKey]?.parent;
+    while (parentKey && categories[parentKey] && parentKey !== categoryKey && !ancestors.includes(parentKey)) {
+        ancestors.push(parentKey);
+        parentKey = categories[parentKey].parent;
+    }
+    return ancestors;
+}
+
+/**
+ * Categories in tree order, each group followed by its children: [[key, depth], ...]
+ * @param {Function} [compare] - Sibling order, (keyA, keyB) => number
+ */
+function getCategoryTree(compare = () => 0) {
+    const keys = Object.keys(categories);
+    const parentOf = key => getCategoryAncestors(key)[0] || null;
+    const walk = (parentKey, depth) => keys
+        .filter(key => parentOf(key) === parentKey)
+        .sort(compare)
+        .flatMap(key => [[key, depth], ...walk(key, depth + 1)]);
+
+    const tree = walk(null, 0);
+    // Categories caught in a parent cycle are never reached from the top; list them flat
+    const listed = new Set(tree.map(([key]) => key));
+    return [...tree, ...keys.filter(key => !listed.has(key)).map(key => [key, 0])];
+}
+
 function getTodayKey() {
     const now = new Date();
     return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
@@ -775,3 +2358,14 @@ function formatTime(seconds) {
     if (minutes > 0) return `${minutes}m ${secs}s`;
     return `${secs}s`;
 }
+
+/**
+ * Escape user-entered text (patterns, titles) before interpolating it into innerHTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
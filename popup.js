@@ -44,7 +44,11 @@ async function loadStatus() {
         // Get all category status from background - this triggers date change check
         // Note: getCategoryStatus already includes pending time via getCategoryUsage
         const allStatus = await chrome.runtime.sendMessage({ type: 'GET_ALL_STATUS' });
+        const timeBank = await chrome.runtime.sendMessage({ type: 'GET_TIME_BANK' });
+        const globalStatus = await chrome.runtime.sendMessage({ type: 'GET_GLOBAL_STATUS' });
 
+        renderGlobalStatus(globalStatus);
+        renderTimeBank(timeBank, allStatus);
         renderCategoriesFromStatus(allStatus);
     } catch (error) {
         console.error('Error loading status:', error);
@@ -52,6 +56,55 @@ async function loadStatus() {
     }
 }
 
+/**
+ * Combined screen time of all categories against the global daily cap (settings.globalLimits)
+ */
+function renderGlobalStatus(globalStatus) {
+    const container = document.getElementById('globalStatus');
+    const dailyLimit = globalStatus?.limits?.dailyLimit;
+
+    if (!globalStatus?.active || !dailyLimit) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    const percentage = Math.min(100, (globalStatus.totalTime / dailyLimit) * 100);
+    let progressClass = '';
+    if (percentage >= 100) progressClass = 'danger';
+    else if (percentage >= 75) progressClass = 'warning';
+
+    container.innerHTML = `
+        <div class="category-header">
+            <span class="category-name">🌍 ${i18n('popupGlobalScreenTime')}</span>
+            ${globalStatus.inRest ? `<span class="category-status resting">${i18n('popupStatusResting')}</span>` : ''}
+        </div>
+        <div class="time-limit">${formatTime(globalStatus.totalTime)} ${i18n('ofLimit', formatTime(dailyLimit))}</div>
+        <div class="progress-bar">
+            <div class="progress-fill ${progressClass}" style="width: ${percentage}%"></div>
+        </div>
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * Time bank balance, shown once a category earns banked time or there is a balance to spend
+ */
+function renderTimeBank(bank, allStatus) {
+    const container = document.getElementById('timeBank');
+    const earns = Object.values(allStatus || {}).some(status => status.category?.earnRatio > 0);
+
+    if (!bank || (!earns && !bank.balance)) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    container.innerHTML = `
+        <span>🏦 ${i18n('popupBankBalance', formatTime(bank.balance))}</span>
+        <span class="time-bank-today">${i18n('popupBankToday', formatTime(bank.earnedToday), formatTime(bank.spentToday))}</span>
+    `;
+    container.classList.remove('hidden');
+}
+
 function renderCategoriesFromStatus(allStatus) {
     const container = document.getElementById('categoryList');
 
@@ -75,8 +128,11 @@ function renderCategoriesFromStatus(allStatus) {
         // usage.totalTime already includes pending time (via getCategoryUsage)
         const totalTime = usage.totalTime;
 
-        const percentage = category.dailyLimit
-            ? Math.min(100, (totalTime / category.dailyLimit) * 100)
+        // Today's limits (weekday schedules applied by the background)
+        const { dailyLimit, sessionCount, carryOver, bankedTime, weeklyLimit, weeklyUsed } = status.limits || category;
+
+        const percentage = dailyLimit
+            ? Math.min(100, (totalTime / dailyLimit) * 100)
             : 0;
 
         const sessionsUsed = usage.sessionsCompleted + (state.inSession ? 1 : 0);
@@ -103,13 +159,23 @@ function renderCategoriesFromStatus(allStatus) {
                     <span class="category-status ${statusClass}">${statusText}</span>
                 </div>
                 <div class="time-display">${formatTime(totalTime)}</div>
-                <div class="time-limit">${i18n('ofLimit', formatTime(category.dailyLimit))} daily limit</div>
+                <div class="time-limit">${i18n('ofLimit', formatTime(dailyLimit))} daily limit${carryOver ? ` ${i18n('carriedOver', formatTime(carryOver))}` : ''}${bankedTime ? ` ${i18n('bankedTimeAdded', formatTime(bankedTime))}` : ''}</div>
                 <div class="progress-bar">
                     <div class="progress-fill ${progressClass}" style="width: ${percentage}%"></div>
                 </div>
-                ${category.sessionCount ? `
+                ${sessionCount ? `
+                    <div class="sessions-info">
+                        ${i18n('popupSessionsUsed', String(sessionsUsed), String(sessionCount))}
+                    </div>
+                ` : ''}
+                ${category.dailyPostLimit ? `
+                    <div class="sessions-info">
+                        ${i18n('postsSeenOfLimit', String(Math.round(status.usage.postsSeen || 0)), String(category.dailyPostLimit))}
+                    </div>
+                ` : ''}
+                ${weeklyLimit ? `
                     <div class="sessions-info">
-                        ${i18n('popupSessionsUsed', String(sessionsUsed), String(category.sessionCount))}
+                        ${i18n('weeklyUsedOfLimit', formatTime(weeklyUsed), formatTime(weeklyLimit))}
                     </div>
                 ` : ''}
             </div>
@@ -0,0 +1,327 @@
+/**
+ * Site Adapters - Per-site knowledge for the content script detectors
+ * Each adapter declares how to find a site's main player, detect ads, tell live from VOD
+ * and identify the current item. Sites without an adapter use the generic detectors.
+ *
+ * Loaded before content.js (same isolated world), so its globals are visible there.
+ */
+
+/**
+ * Adapter definition schema (also the format of user-defined adapters in settings.siteAdapters):
+ * {
+ *   id: string,                  // Unique id, e.g. "youtube"
+ *   name: string,                // Display name
+ *   domains: string[],           // Domains the adapter applies to (subdomains included)
+ *   playerSelector?: string,     // CSS selector for the main player's <video> elements
+ *   adSelector?: string,         // Element present only while an ad is playing
+ *   liveSelector?: string,       // Element present only on live streams
+ *   livePathPattern?: string,    // Regex on location.pathname marking live pages
+ *   itemParam?: string,          // Query parameter holding the current item id
+ *   itemPathPattern?: string,    // Regex on location.pathname; first capture group is the item id
+ *   titleSelector?: string,      // Element holding the current item's title
+ *   feedItemSelector?: string,   // Items of an infinite feed, counted as "posts seen" by SocialDetector
+ *   channelPathPattern?: string, // Regex on location.pathname; first capture group is the channel id
+ *   channelSelector?: string     // Link/element naming the channel or creator of the current item
+ * }
+ */
+const BUILT_IN_SITE_ADAPTERS = [
+    {
+        id: 'youtube',
+        name: 'YouTube',
+        domains: ['youtube.com', 'youtubekids.com'],
+        playerSelector: '#movie_player video, ytd-player video',
+        adSelector: '#movie_player.ad-showing, #movie_player.ad-interrupting',
+        liveSelector: '#movie_player .ytp-live',
+        itemParam: 'v',
+        itemPathPattern: '^/(?:shorts|live|embed)/([^/?#]+)',
+        titleSelector: 'h1.ytd-watch-metadata yt-formatted-string, h1.title yt-formatted-string',
+        feedItemSelector: 'ytd-reel-video-renderer',  // Shorts
+        channelPathPattern: '^/(@[^/]+|channel/[^/]+)',
+        channelSelector: 'ytd-watch-metadata ytd-channel-name a, #owner #channel-name a, ytd-reel-player-overlay-renderer #channel-name a'
+    },
+    {
+        id: 'netflix',
+        name: 'Netflix',
+        domains: ['netflix.com'],
+        playerSelector: '.watch-video video',
+        itemPathPattern: '^/watch/(\\d+)',
+        titleSelector: '[data-uia="video-title"]'
+    },
+    {
+        id: 'twitch',
+        name: 'Twitch',
+        domains: ['twitch.tv'],
+        playerSelector: '.video-player video, [data-a-target="video-player"] video',
+        adSelector: '[data-a-target="video-ad-label"], [data-a-target="video-ad-countdown"]',
+        // Channel pages are live; VODs and clips live under /videos/ and /clip/
+        livePathPattern: '^/(?!videos/|directory|settings|clip/)[^/]+/?$',
+        itemPathPattern: '^/(?:videos/(\\d+)|([^/]+)/?$)',
+        titleSelector: '[data-a-target="stream-title"], h2[data-a-target="stream-title"]',
+        channelPathPattern: '^/(?!videos/|directory|settings|clip/)([^/]+)',
+        channelSelector: '.channel-info-content a[href^="/"] h1, [data-a-target="stream-info-card-component-channel-link"]'
+    },
+    {
+        id: 'bilibili-live',
+        name: 'Bilibili Live',
+        domains: ['live.bilibili.com'],
+        playerSelector: '#live-player video',
+        livePathPattern: '^/\\d+',
+        itemPathPattern: '^/(\\d+)',
+        titleSelector: '.live-title .text, .live-skin-main-text'
+    },
+    {
+        id: 'bilibili',
+        name: 'Bilibili',
+        domains: ['bilibili.com'],
+        playerSelector: '.bpx-player-video-wrap video, #bilibili-player video',
+        adSelector: '.bpx-player-adv, .bilibili-player-video-ad',
+        itemPathPattern: '^/(?:video|bangumi/play)/([^/?#]+)',
+        titleSelector: 'h1.video-title, .media-title',
+        channelSelector: '.up-detail-top a.up-name, .up-name'
+    },
+    {
+        id: 'vimeo',
+        name: 'Vimeo',
+        domains: ['vimeo.com'],
+        playerSelector: '.vp-video video, .player video',
+        liveSelector: '.vp-live-status, [data-live-status="started"]',
+        itemPathPattern: '^/(?:event/)?(\\d+)',
+        titleSelector: 'h1',
+        channelSelector: '[data-testid="clip-owner-link"], .clip_info-subline--owner a'
+    },
+    {
+        id: 'tiktok',
+        name: 'TikTok',
+        domains: ['tiktok.com'],
+        // The feed renders many <video> tiles; the playing one is in the active item container
+        playerSelector: '[data-e2e="feed-active-video"] video, [data-e2e="browse-video"] video',
+        livePathPattern: '^/@[^/]+/live',
+        itemPathPattern: '/video/(\\d+)',
+        titleSelector: '[data-e2e="browse-video-desc"], [data-e2e="video-desc"]',
+        feedItemSelector: '[data-e2e="recommend-list-item-container"]',
+        channelPathPattern: '^/(@[^/]+)',
+        channelSelector: '[data-e2e="browse-username"], [data-e2e="video-author-uniqueid"]'
+    },
+    {
+        id: 'twitter',
+        name: 'X (Twitter)',
+        domains: ['x.com', 'twitter.com'],
+        itemPathPattern: '/status/(\\d+)',
+        feedItemSelector: 'article[data-testid="tweet"]',
+        // Profile and status pages name the account; app routes (home, explore, …) don't
+        channelPathPattern: '^/(?!(?:home|explore|notifications|messages|search|settings|compose|i)(?:/|$))(\\w+)'
+    },
+    {
+        id: 'instagram',
+        name: 'Instagram',
+        domains: ['instagram.com'],
+        itemPathPattern: '^/(?:p|reels?)/([^/?#]+)',
+        feedItemSelector: 'article',
+        channelPathPattern: '^/(?:stories/)?(?!(?:p|reels?|explore|direct|accounts|stories)(?:/|$))([\\w.]+)'
+    },
+    {
+        id: 'reddit',
+        name: 'Reddit',
+        domains: ['reddit.com'],
+        itemPathPattern: '/comments/([^/?#]+)',
+        titleSelector: 'h1',
+        feedItemSelector: 'shreddit-post, [data-testid="post-container"]',
+        channelPathPattern: '^/((?:r|u|user)/[^/]+)'
+    }
+];
+
+/**
+ * Build an adapter from a declarative definition.
+ * Missing selectors/patterns simply make the corresponding query return null/false.
+ */
+function createSiteAdapter(definition) {
+    const livePattern = compilePattern(definition.livePathPattern);
+    const itemPattern = compilePattern(definition.itemPathPattern);
+    const channelPattern = compilePattern(definition.channelPathPattern);
+
+    return {
+        id: definition.id,
+        name: definition.name || definition.id,
+        domains: definition.domains || [],
+        feedItemSelector: definition.feedItemSelector || null,
+
+        /**
+         * Every main player video, including in open shadow roots (previews and miniplayers can
+         * match too; the detector decides which one counts). Empty falls back to generic detection.
+         */
+        findPlayers() {
+            if (!definition.playerSelector) return [];
+            return safeQueryAllDeep(definition.playerSelector);
+        },
+
+        isAdPlaying() {
+            return !!(definition.adSelector && safeQuery(definition.adSelector));
+        },
+
+        isLive() {
+            if (livePattern && livePattern.test(window.location.pathname)) return true;
+            return !!(definition.liveSelector && safeQuery(definition.liveSelector));
+        },
+
+        /** @returns {{ id: string, title: string|null } | null} */
+        getCurrentItem() {
+            let id = null;
+
+            if (definition.itemParam) {
+                id = new URLSearchParams(window.location.search).get(definition.itemParam);
+            }
+            if (!id && itemPattern) {
+                const match = window.location.pathname.match(itemPattern);
+                // First non-empty capture group (patterns may have alternatives)
+                id = match?.slice(1).find(Boolean) || null;
+            }
+            if (!id) return null;
+
+            const titleEl = definition.titleSelector ? safeQuery(definition.titleSelector) : null;
+            return {
+                id,
+                title: titleEl?.textContent?.trim() || document.title || null
+            };
+        },
+
+        /**
+         * Channel or creator of the current page: the URL path first, then the adapter's
+         * channel element, then page metadata (schema.org author / meta author).
+         * @returns {{ id: string, name: string } | null}
+         */
+        getChannel() {
+            const channelEl = definition.channelSelector ? safeQuery(definition.channelSelector) : null;
+            const linkEl = channelEl?.closest('a') || channelEl?.querySelector?.('a') || null;
+            const elementName = channelEl?.textContent?.trim() || null;
+
+            if (channelPattern) {
+                const match = window.location.pathname.match(channelPattern);
+                const id = match?.slice(1).find(Boolean);
+                if (id) {
+                    return { id: decodeURIComponent(id), name: elementName || decodeURIComponent(id) };
+                }
+            }
+
+            if (channelEl) {
+                const id = linkEl ? getChannelIdFromHref(linkEl.getAttribute('href')) : null;
+                if (id || elementName) {
+                    return { id: id || elementName, name: elementName || id };
+                }
+            }
+
+            const metaName = safeQuery('[itemprop="author"] [itemprop="name"]')?.getAttribute('content') ||
+                safeQuery('meta[name="author"]')?.getAttribute('content');
+            if (metaName?.trim()) {
+                const metaUrl = safeQuery('[itemprop="author"] [itemprop="url"]')?.getAttribute('href');
+                const id = metaUrl ? getChannelIdFromHref(metaUrl) : null;
+                return { id: id || metaName.trim(), name: metaName.trim() };
+            }
+
+            return null;
+        }
+    };
+}
+
+/**
+ * Channel id from a channel link: "/@handle", "/channel/UC…", "/c/name", "/user/name",
+ * otherwise the last path segment.
+ */
+function getChannelIdFromHref(href) {
+    if (!href) return null;
+    let path;
+    try {
+        path = new URL(href, window.location.href).pathname;
+    } catch (e) {
+        return null;
+    }
+
+    const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+    if (segments.length === 0) return null;
+
+    const handle = segments.find(s => s.startsWith('@'));
+    if (handle) return handle;
+
+    const prefixed = segments.findIndex(s => ['channel', 'c', 'user', 'space'].includes(s));
+    if (prefixed !== -1 && segments[prefixed + 1]) {
+        return `${segments[prefixed]}/${segments[prefixed + 1]}`;
+    }
+
+    return segments[segments.length - 1];
+}
+
+/**
+ * Find the adapter for a domain. User-defined adapters take priority over built-ins,
+ * and among matches the most specific domain wins (live.bilibili.com over bilibili.com).
+ * @param {string} domain - Hostname without www.
+ * @param {Object[]} [userDefinitions] - settings.siteAdapters
+ * @returns {Object|null}
+ */
+function getSiteAdapter(domain, userDefinitions = []) {
+    const definitions = [...userDefinitions.filter(isValidAdapterDefinition), ...BUILT_IN_SITE_ADAPTERS];
+    let best = null;
+    let bestLength = -1;
+
+    for (const definition of definitions) {
+        for (const pattern of definition.domains) {
+            const clean = pattern.toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '');
+            const matches = domain === clean || domain.endsWith('.' + clean);
+            // Strictly longer wins, so earlier (user) definitions keep ties
+            if (matches && clean.length > bestLength) {
+                best = definition;
+                bestLength = clean.length;
+            }
+        }
+    }
+
+    return best ? createSiteAdapter(best) : null;
+}
+
+function isValidAdapterDefinition(definition) {
+    return !!definition &&
+        typeof definition.id === 'string' &&
+        Array.isArray(definition.domains) &&
+        definition.domains.every(d => typeof d === 'string');
+}
+
+function compilePattern(source) {
+    if (!source) return null;
+    try {
+        return new RegExp(source);
+    } catch (e) {
+        console.warn('[SiteAdapter] Invalid pattern:', source);
+        return null;
+    }
+}
+
+function safeQuery(selector) {
+    try {
+        return document.querySelector(selector);
+    } catch (e) {
+        // Invalid selector in a user-defined adapter
+        return null;
+    }
+}
+
+function safeQueryAllDeep(selector) {
+    try {
+        return querySelectorAllDeep(selector);
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * querySelectorAll that also descends into open shadow roots
+ */
+function querySelectorAllDeep(selector, root = document) {
+    const results = [...root.querySelectorAll(selector)];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.shadowRoot) {
+            results.push(...querySelectorAllDeep(selector, node.shadowRoot));
+        }
+    }
+
+    return results;
+}
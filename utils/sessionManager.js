@@ -10,21 +10,255 @@ import {
     getCategoryActiveState,
     updateCategoryActiveState,
     startCategorySession,
+    reopenCategorySession,
     endCategorySession,
     addCategoryTime,
+    addCategoryMetrics,
     isInForbiddenPeriod,
     getNextAllowedTime,
     getTomorrowMidnight,
+    getCategoryForDay,
+    getRestDuration,
+    getEveningGapEnd,
+    getCategoryWeekUsage,
+    getRollingUsage,
+    getBankedTimeForCategory,
+    addBankEarnings,
+    getCategoryAncestors,
+    getCategoryDescendants,
+    getGlobalUsage,
+    getGlobalLimits,
+    getGlobalState,
+    updateGlobalState,
+    getExtensionSettings,
+    getTodayExtensions,
+    addExtensionLogEntry,
+    getExtensionTimeForCategory,
     formatTime
 } from './storage.js';
 
+/**
+ * Combined usage of all enabled categories against settings.globalLimits.
+ * The global session only runs when both sessionDuration and restDuration are set; a pause of
+ * restDuration (no time counted anywhere) ends it just like a global break would.
+ */
+async function getGlobalLimitState() {
+    const limits = await getGlobalLimits();
+    const now = Date.now();
+    const hasSession = !!(limits.sessionDuration && limits.restDuration);
+
+    if (!limits.dailyLimit && !hasSession) {
+        return { limits, active: false };
+    }
+
+    const state = await getGlobalState();
+    const inRest = !!(state.inRest && state.restEnd && now < state.restEnd);
+    const rested = !state.lastActivity || now - state.lastActivity >= limits.restDuration * 1000;
+
+    return {
+        limits,
+        active: true,
+        hasSession,
+        totalTime: await getGlobalUsage(),
+        sessionEffectiveTime: state.inRest || rested ? 0 : (state.sessionEffectiveTime || 0),
+        inRest,
+        restEnd: state.restEnd
+    };
+}
+
+/**
+ * Combined time today of a group and every category below it
+ */
+async function getGroupUsage(categories, groupKey) {
+    let totalTime = 0;
+    for (const key of [groupKey, ...getCategoryDescendants(categories, groupKey)]) {
+        totalTime += (await getCategoryUsage(key)).totalTime;
+    }
+    return totalTime;
+}
+
+/**
+ * Enabled parent groups of a category, nearest first, with today's limits, combined usage and
+ * group session state. Groups cascade their forbidden periods, breaks and daily limit to their
+ * children; a group session works like the global one: time in any child counts, a break follows
+ * sessionDuration, and a pause of restDuration ends the session.
+ */
+async function getGroupStates(categories, categoryKey) {
+    const groups = [];
+
+    for (const groupKey of getCategoryAncestors(categories, categoryKey)) {
+        if (!categories[groupKey].enabled) continue;
+        groups.push(await getGroupState(categories, groupKey));
+    }
+
+    return groups;
+}
+
+/**
+ * Today's limits, combined usage and session state of one group (see getGroupStates)
+ */
+async function getGroupState(categories, groupKey) {
+    const now = Date.now();
+    const group = getCategoryForDay(categories[groupKey]);
+    const state = await getCategoryActiveState(groupKey);
+    const rested = !state.lastActivity || now - state.lastActivity >= (group.restDuration || 0) * 1000;
+
+    return {
+        key: groupKey,
+        group,
+        totalTime: group.dailyLimit ? await getGroupUsage(categories, groupKey) : 0,
+        hasSession: !!(group.sessionDuration && group.restDuration),
+        sessionEffectiveTime: state.inRest || rested ? 0 : (state.sessionEffectiveTime || 0),
+        inRest: !!(state.inRest && state.restEnd && now < state.restEnd),
+        restEnd: state.restEnd
+    };
+}
+
+/**
+ * Blocking result for a child of a group whose forbidden period, break or daily limit applies
+ */
+function getGroupBlock({ key, group, totalTime, inRest, restEnd }) {
+    const groupInfo = { group: key, groupName: group.name };
+
+    if (isInForbiddenPeriod(group.forbiddenPeriods)) {
+        return {
+            allowed: false,
+            reason: 'forbidden_period',
+            reasonText: 'This group is blocked during this time period',
+            nextAvailable: getNextAllowedTime(group.forbiddenPeriods),
+            ...groupInfo
+        };
+    }
+
+    if (inRest) {
+        const restRemaining = Math.ceil((restEnd - Date.now()) / 1000);
+        return {
+            allowed: false,
+            reason: 'rest_period',
+            reasonText: 'Taking a mandatory break',
+            restRemaining,
+            restRemainingFormatted: formatTime(restRemaining),
+            nextAvailable: restEnd,
+            ...groupInfo
+        };
+    }
+
+    if (group.dailyLimit && totalTime >= group.dailyLimit) {
+        return {
+            allowed: false,
+            reason: 'group_limit',
+            reasonText: 'Group daily time limit reached',
+            nextAvailable: getTomorrowMidnight(),
+            totalTime,
+            dailyLimit: group.dailyLimit,
+            ...groupInfo
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Get the global limit status (for UI display)
+ */
+export async function getGlobalStatus() {
+    const global = await getGlobalLimitState();
+    if (!global.active) {
+        return { active: false, limits: global.limits };
+    }
+    return { ...global, totalTimeFormatted: formatTime(global.totalTime) };
+}
+
+/**
+ * Category with the limits in effect today: its weekday schedule (getCategoryForDay) plus any
+ * daily time carried over from earlier days of the week, banked time spent on it today and
+ * daily-limit extensions granted today.
+ * Also returns the weekly budget state.
+ *
+ * Carry-over: each earlier day adds its unused dailyLimit to a balance (and days over their
+ * limit draw it down); the balance, capped at carryOverMax, is added to today's dailyLimit.
+ * It starts from zero each week.
+ * @returns {Promise<{ category: Object, weekly: { limit: number, used: number, resetsAt: number } | null }>}
+ */
+async function getCategoryForToday(categoryKey, configured) {
+    let today = getCategoryForDay(configured);
+
+    // Banked time only extends a daily limit that exists
+    if (configured?.bankSpendable && today?.dailyLimit) {
+        const bankedTime = await getBankedTimeForCategory(categoryKey);
+        if (bankedTime > 0) {
+            today = { ...today, dailyLimit: today.dailyLimit + bankedTime, bankedTime };
+        }
+    }
+
+    if (today?.dailyLimit) {
+        const extensionTime = await getExtensionTimeForCategory(categoryKey);
+        if (extensionTime > 0) {
+            today = { ...today, dailyLimit: today.dailyLimit + extensionTime, extensionTime };
+        }
+    }
+
+    if (!configured?.weeklyLimit && !(configured?.carryOverMax > 0)) {
+        return { category: today, weekly: null };
+    }
+
+    const week = await getCategoryWeekUsage(categoryKey);
+
+    let carryOver = 0;
+    if (configured.carryOverMax > 0 && today.dailyLimit) {
+        for (const day of week.days.slice(0, -1)) {
+            const dayLimit = getCategoryForDay(configured, day.date).dailyLimit;
+            if (!dayLimit) continue;
+            carryOver = Math.min(configured.carryOverMax, Math.max(0, carryOver + dayLimit - day.totalTime));
+        }
+    }
+
+    const weekly = configured.weeklyLimit
+        ? { limit: configured.weeklyLimit, used: week.totalTime, resetsAt: week.weekEnd.getTime() + 1 }
+        : null;
+
+    return {
+        category: carryOver > 0 ? { ...today, dailyLimit: today.dailyLimit + carryOver, carryOver } : today,
+        weekly
+    };
+}
+
+/**
+ * Usage of a category's rolling window, or null when it has no rolling limit
+ */
+async function getRollingState(categoryKey, category) {
+    const rolling = category.rollingLimit;
+    if (!rolling?.window || !rolling?.limit) return null;
+
+    const { used, freesAt } = await getRollingUsage(categoryKey, rolling.window, rolling.limit);
+    return { ...rolling, used, freesAt };
+}
+
+/**
+ * Blocking result for a used-up rolling window; the countdown runs until the window frees up
+ */
+function getRollingLimitResult(reason, rolling) {
+    const restRemaining = Math.max(1, Math.ceil((rolling.freesAt - Date.now()) / 1000));
+    return {
+        allowed: false,
+        reason,
+        reasonText: 'Rolling time limit reached',
+        nextAvailable: rolling.freesAt,
+        restRemaining,
+        restRemainingFormatted: formatTime(restRemaining),
+        rollingUsed: rolling.used,
+        rollingLimit: rolling.limit,
+        rollingWindow: rolling.window
+    };
+}
+
 /**
  * Check if access to a category is allowed
  * Returns detailed status including reason for blocking
  */
 export async function canAccessCategory(categoryKey) {
     const categories = await getCategories();
-    const category = categories[categoryKey];
+    const { category, weekly } = await getCategoryForToday(categoryKey, categories[categoryKey]);
 
     if (!category || !category.enabled) {
         return { allowed: true, hasLimits: false };
@@ -53,6 +287,7 @@ export async function canAccessCategory(categoryKey) {
                 allowed: false,
                 reason: 'rest_period',
                 reasonText: 'Taking a mandatory break',
+                restKind: activeState.restKind || 'normal',
                 restRemaining,
                 restRemainingFormatted: formatTime(restRemaining),
                 nextAvailable: activeState.restEnd,
@@ -67,6 +302,38 @@ export async function canAccessCategory(categoryKey) {
         }
     }
 
+    // Check 2a: Evening gap, also when the last session ended without a rest (idle, reset, ...)
+    const eveningGapEnd = activeState.inSession ? null : getEveningGapEnd(category, usage.sessions, now);
+    if (eveningGapEnd) {
+        const restRemaining = Math.ceil((eveningGapEnd - now) / 1000);
+        return {
+            allowed: false,
+            reason: 'rest_period',
+            reasonText: 'Taking a mandatory break',
+            restKind: 'evening',
+            restRemaining,
+            restRemainingFormatted: formatTime(restRemaining),
+            nextAvailable: eveningGapEnd,
+            category
+        };
+    }
+
+    // Check 2b: Global break (settings.globalLimits)
+    const global = await getGlobalLimitState();
+    if (global.inRest) {
+        const restRemaining = Math.ceil((global.restEnd - now) / 1000);
+        return {
+            allowed: false,
+            reason: 'global_rest',
+            reasonText: 'Taking a break from all sites',
+            global: true,
+            restRemaining,
+            restRemainingFormatted: formatTime(restRemaining),
+            nextAvailable: global.restEnd,
+            category
+        };
+    }
+
     // Check 3: Daily total limit
     if (category.dailyLimit && usage.totalTime >= category.dailyLimit) {
         return {
@@ -80,6 +347,61 @@ export async function canAccessCategory(categoryKey) {
         };
     }
 
+    // Check 3a: Weekly budget
+    if (weekly && weekly.used >= weekly.limit) {
+        return {
+            allowed: false,
+            reason: 'weekly_limit',
+            reasonText: 'Weekly time budget used up',
+            nextAvailable: weekly.resetsAt,
+            weeklyUsed: weekly.used,
+            weeklyLimit: weekly.limit,
+            category
+        };
+    }
+
+    // Check 3b: Daily feed posts cap (social detector)
+    if (category.dailyPostLimit && usage.postsSeen >= category.dailyPostLimit) {
+        return {
+            allowed: false,
+            reason: 'post_limit',
+            reasonText: 'Daily post limit reached',
+            nextAvailable: getTomorrowMidnight(),
+            postsSeen: usage.postsSeen,
+            dailyPostLimit: category.dailyPostLimit,
+            category
+        };
+    }
+
+    // Check 3c: Rolling window (e.g. at most 45 minutes in any 3 hours)
+    const rolling = await getRollingState(categoryKey, category);
+    if (rolling?.freesAt) {
+        return { ...getRollingLimitResult('rolling_limit', rolling), category };
+    }
+
+    // Check 3d: Global daily cap across all enabled categories
+    if (global.limits.dailyLimit && global.totalTime >= global.limits.dailyLimit) {
+        return {
+            allowed: false,
+            reason: 'global_limit',
+            reasonText: 'Daily screen time limit reached',
+            global: true,
+            nextAvailable: getTomorrowMidnight(),
+            totalTime: global.totalTime,
+            dailyLimit: global.limits.dailyLimit,
+            category
+        };
+    }
+
+    // Check 3e: Parent groups
+    const groups = await getGroupStates(categories, categoryKey);
+    for (const groupState of groups) {
+        const groupBlock = getGroupBlock(groupState);
+        if (groupBlock) {
+            return { ...groupBlock, category };
+        }
+    }
+
     // Check 4: Session count limit
     const completedSessions = usage.sessions.filter(s => s.end).length;
     const totalSessionsUsed = completedSessions + (activeState.inSession ? 1 : 0);
@@ -114,6 +436,10 @@ export async function canAccessCategory(categoryKey) {
         ? category.sessionCount - totalSessionsUsed
         : null;
 
+    const rollingRemaining = rolling ? rolling.limit - rolling.used : null;
+    const weeklyRemaining = weekly ? weekly.limit - weekly.used : null;
+    const globalRemaining = global.limits.dailyLimit ? global.limits.dailyLimit - global.totalTime : null;
+
     return {
         allowed: true,
         hasLimits: true,
@@ -123,6 +449,9 @@ export async function canAccessCategory(categoryKey) {
         dailyRemaining,
         dailyRemainingFormatted: dailyRemaining ? formatTime(dailyRemaining) : null,
         sessionsRemaining,
+        rollingRemaining,
+        weeklyRemaining,
+        globalRemaining,
         totalTime: usage.totalTime,
         isWarning: sessionRemaining !== null && sessionRemaining <= 60, // 1 min warning
         category
@@ -160,7 +489,9 @@ export async function startSession(categoryKey) {
 }
 
 /**
- * End a session and optionally start rest period
+ * End a session and optionally start rest period.
+ * The rest grows with the day's completed sessions when the category has restEscalation
+ * (see getRestDuration in storage.js).
  */
 export async function endSession(categoryKey, triggerRest = false) {
     const categories = await getCategories();
@@ -173,27 +504,45 @@ export async function endSession(categoryKey, triggerRest = false) {
         sessionStart: null
     };
 
-    if (triggerRest && category?.restDuration) {
+    let rest = null;
+    if (triggerRest && category) {
+        const usage = await getCategoryUsage(categoryKey);
+        const sessionNumber = usage.sessions.filter(s => s.end).length;
+        rest = getRestDuration(category, sessionNumber);
+    }
+
+    if (rest?.duration > 0) {
         updates.inRest = true;
-        updates.restEnd = Date.now() + (category.restDuration * 1000);
+        updates.restEnd = Date.now() + (rest.duration * 1000);
+        updates.restKind = rest.kind;
     }
 
     await updateCategoryActiveState(categoryKey, updates);
 
     return {
         success: true,
-        restStarted: triggerRest && !!category?.restDuration,
-        restEnd: updates.restEnd
+        restStarted: !!updates.inRest,
+        restEnd: updates.restEnd,
+        restDuration: rest?.duration || 0,
+        restKind: rest?.kind || null
     };
 }
 
 /**
  * Add effective time to a category and check limits.
- * Caps the add at the daily limit so we never exceed it (avoids e.g. 1h 33m when limit is 1h 30m).
+ * Caps the add at the daily limit so we never exceed it (avoids e.g. 1h 33m when limit is 1h 30m),
+ * and likewise at what is left of the weekly budget, the category's rolling window, its parent groups'
+ * daily limits and sessions, and the global limits.
+ * @param {Object} [metrics] - Secondary figures reported by the detector (see USAGE_METRICS):
+ *   - wallTime/contentTime/adTime from media detectors are recorded alongside totalTime, scaled down
+ *     by the same cap. adTime is added to the counted seconds only when the category has adsCountTowardLimits.
+ *   - composeTime/consumeTime from reading detectors are recorded as-is; composeTime counts toward limits
+ *     weighted by the category's composingWeight (1 = fully, 0 = exempt).
+ *   - postsSeen/screensScrolled from the social detector are recorded as-is; postsSeen is capped by dailyPostLimit.
  */
-export async function addEffectiveTime(categoryKey, seconds) {
+export async function addEffectiveTime(categoryKey, seconds, metrics = null) {
     const categories = await getCategories();
-    const category = categories[categoryKey];
+    const { category, weekly } = await getCategoryForToday(categoryKey, categories[categoryKey]);
 
     if (!category || !category.enabled) {
         return { allowed: true, timeAdded: 0 };
@@ -203,13 +552,59 @@ export async function addEffectiveTime(categoryKey, seconds) {
     const currentUsage = await getCategoryUsage(categoryKey);
     let activeState = await getCategoryActiveState(categoryKey);
 
-    let secondsToAdd = seconds;
+    // Ad playback only counts toward limits when the category opts in
+    const adTime = metrics?.adTime || 0;
+    const countAds = !!category.adsCountTowardLimits;
+
+    // Composing (typing) time is discounted by the category's composingWeight
+    const composeTime = Math.min(metrics?.composeTime || 0, seconds);
+    const composingWeight = category.composingWeight ?? 1;
+    const composeDiscount = composeTime * (1 - Math.min(1, Math.max(0, composingWeight)));
+
+    const countedSeconds = seconds - composeDiscount + (countAds ? adTime : 0);
+
+    let secondsToAdd = countedSeconds;
     if (category.dailyLimit != null && category.dailyLimit > 0) {
         const dailyHeadroom = Math.max(0, category.dailyLimit - currentUsage.totalTime);
         if (secondsToAdd > dailyHeadroom) {
             secondsToAdd = dailyHeadroom;
         }
     }
+    if (weekly) {
+        const weeklyHeadroom = Math.max(0, weekly.limit - weekly.used);
+        if (secondsToAdd > weeklyHeadroom) {
+            secondsToAdd = weeklyHeadroom;
+        }
+    }
+    const groups = await getGroupStates(categories, categoryKey);
+    for (const { group, totalTime, hasSession, sessionEffectiveTime } of groups) {
+        if (group.dailyLimit) {
+            secondsToAdd = Math.min(secondsToAdd, Math.max(0, group.dailyLimit - totalTime));
+        }
+        if (hasSession) {
+            secondsToAdd = Math.min(secondsToAdd, Math.max(0, group.sessionDuration - sessionEffectiveTime));
+        }
+    }
+    const global = await getGlobalLimitState();
+    if (global.limits.dailyLimit) {
+        const globalHeadroom = Math.max(0, global.limits.dailyLimit - global.totalTime);
+        if (secondsToAdd > globalHeadroom) {
+            secondsToAdd = globalHeadroom;
+        }
+    }
+    if (global.hasSession) {
+        const globalSessionHeadroom = Math.max(0, global.limits.sessionDuration - global.sessionEffectiveTime);
+        if (secondsToAdd > globalSessionHeadroom) {
+            secondsToAdd = globalSessionHeadroom;
+        }
+    }
+    const rolling = await getRollingState(categoryKey, category);
+    if (rolling) {
+        const rollingHeadroom = Math.max(0, rolling.limit - rolling.used);
+        if (secondsToAdd > rollingHeadroom) {
+            secondsToAdd = rollingHeadroom;
+        }
+    }
     // Cap at session duration so access is cut off exactly when session time is reached (e.g. 15m, not 17m)
     if (category.sessionDuration != null && category.sessionDuration > 0 && activeState.inSession) {
         const sessionEffectiveTime = activeState.sessionEffectiveTime || 0;
@@ -221,6 +616,52 @@ export async function addEffectiveTime(categoryKey, seconds) {
 
     const usage = await addCategoryTime(categoryKey, secondsToAdd);
 
+    // Group sessions run across their children, like the global session below
+    if (secondsToAdd > 0) {
+        for (const groupState of groups.filter(g => g.hasSession)) {
+            groupState.sessionEffectiveTime += secondsToAdd;
+            await updateCategoryActiveState(groupState.key, {
+                sessionEffectiveTime: groupState.sessionEffectiveTime,
+                lastActivity: Date.now(),
+                inRest: false,
+                restEnd: null
+            });
+        }
+    }
+
+    // The global session runs across categories (reset by a long enough pause, see getGlobalLimitState)
+    const globalSessionTime = global.hasSession ? global.sessionEffectiveTime + secondsToAdd : 0;
+    if (global.hasSession && secondsToAdd > 0) {
+        await updateGlobalState({ sessionEffectiveTime: globalSessionTime, lastActivity: Date.now(), inRest: false, restEnd: null });
+    }
+
+    // Productive categories earn banked time for what was counted
+    if (category.earnRatio > 0) {
+        addBankEarnings(categoryKey, secondsToAdd * category.earnRatio);
+    }
+
+    if (metrics && countedSeconds > 0) {
+        const scale = secondsToAdd / countedSeconds;
+        addCategoryMetrics(categoryKey, {
+            wallTime: (metrics.wallTime || 0) * scale,
+            contentTime: (metrics.contentTime || 0) * scale,
+            adTime: countAds ? adTime * scale : adTime
+        });
+    } else if (adTime > 0) {
+        addCategoryMetrics(categoryKey, { adTime });
+    }
+
+    // Activity figures are recorded as observed, never scaled by the time caps
+    const postsSeen = metrics?.postsSeen || 0;
+    if (metrics) {
+        addCategoryMetrics(categoryKey, {
+            postsSeen,
+            screensScrolled: metrics.screensScrolled || 0,
+            composeTime,
+            consumeTime: metrics.consumeTime || 0
+        });
+    }
+
     // Also track effective time within the current session (use capped value so session time stays accurate)
     if (activeState.inSession) {
         const newSessionTime = (activeState.sessionEffectiveTime || 0) + secondsToAdd;
@@ -236,15 +677,16 @@ export async function addEffectiveTime(categoryKey, seconds) {
 
         if (sessionEffectiveTime >= category.sessionDuration) {
             // Session limit reached, trigger rest
-            await endSession(categoryKey, true);
+            const ended = await endSession(categoryKey, true);
 
             return {
                 allowed: false,
                 reason: 'session_limit_reached',
                 reasonText: 'Session time limit reached. Take a break!',
                 sessionEnded: true,
-                restStarted: true,
-                restDuration: category.restDuration,
+                restStarted: ended.restStarted,
+                restDuration: ended.restDuration,
+                restKind: ended.restKind,
                 sessionEffectiveTime,
                 timeAdded: secondsToAdd
             };
@@ -266,6 +708,124 @@ export async function addEffectiveTime(categoryKey, seconds) {
         };
     }
 
+    // Parent group session used up (a break for the whole group) or group daily limit reached
+    for (const { key, group, totalTime, hasSession, sessionEffectiveTime } of groups) {
+        if (hasSession && sessionEffectiveTime >= group.sessionDuration) {
+            await updateCategoryActiveState(key, {
+                sessionEffectiveTime: 0,
+                inRest: true,
+                restEnd: Date.now() + group.restDuration * 1000
+            });
+            await endSession(categoryKey, false);
+
+            return {
+                allowed: false,
+                reason: 'rest_period',
+                reasonText: 'Group session time limit reached. Take a break!',
+                group: key,
+                groupName: group.name,
+                sessionEnded: true,
+                restRemaining: group.restDuration,
+                restRemainingFormatted: formatTime(group.restDuration),
+                timeAdded: secondsToAdd
+            };
+        }
+
+        if (group.dailyLimit && totalTime + secondsToAdd >= group.dailyLimit) {
+            await endSession(categoryKey, false);
+
+            return {
+                allowed: false,
+                reason: 'group_limit_reached',
+                reasonText: 'Group daily time limit reached',
+                group: key,
+                groupName: group.name,
+                sessionEnded: true,
+                totalTime: totalTime + secondsToAdd,
+                dailyLimit: group.dailyLimit,
+                timeAdded: secondsToAdd
+            };
+        }
+    }
+
+    // Global session used up: a break for all categories
+    if (global.hasSession && globalSessionTime >= global.limits.sessionDuration) {
+        await updateGlobalState({
+            sessionEffectiveTime: 0,
+            inRest: true,
+            restEnd: Date.now() + global.limits.restDuration * 1000
+        });
+        await endSession(categoryKey, false);
+
+        return {
+            allowed: false,
+            reason: 'global_session_limit_reached',
+            reasonText: 'Time for a break from all sites',
+            global: true,
+            sessionEnded: true,
+            restRemaining: global.limits.restDuration,
+            restRemainingFormatted: formatTime(global.limits.restDuration),
+            timeAdded: secondsToAdd
+        };
+    }
+
+    // Check if the global daily cap is reached
+    if (global.limits.dailyLimit && global.totalTime + secondsToAdd >= global.limits.dailyLimit) {
+        await endSession(categoryKey, false);
+
+        return {
+            allowed: false,
+            reason: 'global_limit_reached',
+            reasonText: 'Daily screen time limit reached',
+            global: true,
+            sessionEnded: true,
+            totalTime: global.totalTime + secondsToAdd,
+            dailyLimit: global.limits.dailyLimit,
+            timeAdded: secondsToAdd
+        };
+    }
+
+    // Check if the weekly budget is used up
+    if (weekly && weekly.used + secondsToAdd >= weekly.limit) {
+        await endSession(categoryKey, false);
+
+        return {
+            allowed: false,
+            reason: 'weekly_limit_reached',
+            reasonText: 'Weekly time budget used up',
+            sessionEnded: true,
+            nextAvailable: weekly.resetsAt,
+            weeklyUsed: weekly.used + secondsToAdd,
+            weeklyLimit: weekly.limit,
+            timeAdded: secondsToAdd
+        };
+    }
+
+    // Check if the rolling window is used up. The session stays open: like a rest period,
+    // the block ends by itself once enough time leaves the window.
+    if (rolling) {
+        const rollingNow = await getRollingState(categoryKey, category);
+        if (rollingNow.freesAt) {
+            return { ...getRollingLimitResult('rolling_limit_reached', rollingNow), timeAdded: secondsToAdd };
+        }
+    }
+
+    // Check if daily feed posts cap reached
+    const totalPosts = currentUsage.postsSeen + postsSeen;
+    if (category.dailyPostLimit && totalPosts >= category.dailyPostLimit) {
+        await endSession(categoryKey, false);
+
+        return {
+            allowed: false,
+            reason: 'post_limit_reached',
+            reasonText: 'Daily post limit reached',
+            sessionEnded: true,
+            postsSeen: totalPosts,
+            dailyPostLimit: category.dailyPostLimit,
+            timeAdded: secondsToAdd
+        };
+    }
+
     // Still within limits
     const access = await canAccessCategory(categoryKey);
     return {
@@ -290,10 +850,22 @@ export async function getCategoryStatus(categoryKey) {
 
     const usage = await getCategoryUsage(categoryKey);
     const activeState = await getCategoryActiveState(categoryKey);
-    const access = await canAccessCategory(categoryKey);
+    let access = await canAccessCategory(categoryKey);
+
+    // A group's usage is the combined time of its children, and it is blocked when they are
+    // (canAccessCategory() alone would judge the group's own, always empty, usage)
+    if (category.type === 'group') {
+        usage.totalTime = await getGroupUsage(categories, categoryKey);
+        if (category.enabled && access.allowed) {
+            access = getGroupBlock(await getGroupState(categories, categoryKey)) || access;
+        }
+    }
 
     const completedSessions = usage.sessions.filter(s => s.end).length;
 
+    // `category` stays as configured (the options page saves it back); `limits` are today's
+    const { category: today, weekly } = await getCategoryForToday(categoryKey, category);
+
     return {
         exists: true,
         category,
@@ -301,15 +873,22 @@ export async function getCategoryStatus(categoryKey) {
             totalTime: usage.totalTime,
             totalTimeFormatted: formatTime(usage.totalTime),
             sessionsCompleted: completedSessions,
-            sessionsTotal: category.sessionCount
+            sessionsTotal: today.sessionCount,
+            postsSeen: usage.postsSeen
         },
         state: activeState,
         access,
         limits: {
-            dailyLimit: category.dailyLimit,
-            dailyLimitFormatted: formatTime(category.dailyLimit),
-            sessionDuration: category.sessionDuration,
-            sessionDurationFormatted: formatTime(category.sessionDuration),
+            dailyLimit: today.dailyLimit,
+            dailyLimitFormatted: formatTime(today.dailyLimit),
+            sessionDuration: today.sessionDuration,
+            sessionDurationFormatted: formatTime(today.sessionDuration),
+            sessionCount: today.sessionCount,
+            carryOver: today.carryOver || 0,
+            bankedTime: today.bankedTime || 0,
+            extensionTime: today.extensionTime || 0,
+            weeklyLimit: weekly?.limit ?? null,
+            weeklyUsed: weekly?.used ?? null,
             restDuration: category.restDuration,
             restDurationFormatted: formatTime(category.restDuration)
         }
@@ -334,8 +913,211 @@ export async function checkRestPeriods() {
                 restEnd: null
             });
             endedRests.push(categoryKey);
+            // A group's break also held back everything below it
+            for (const childKey of getCategoryDescendants(categories, categoryKey)) {
+                if (!endedRests.includes(childKey)) endedRests.push(childKey);
+            }
+        }
+    }
+
+    // A global break blocks every category, so its end releases them all
+    const globalState = await getGlobalState();
+    if (globalState.inRest && globalState.restEnd && now >= globalState.restEnd) {
+        await updateGlobalState({ inRest: false, restEnd: null });
+        for (const categoryKey of Object.keys(categories)) {
+            if (!endedRests.includes(categoryKey)) endedRests.push(categoryKey);
         }
     }
 
     return endedRests;
 }
+
+/**
+ * Overlay reasons that can be extended, and what an extension does for each:
+ * 'daily' adds settings.extensions.duration to today's dailyLimit, 'session' ends the break
+ * and continues the session for that long. Group and global blocks are never extendable.
+ */
+const EXTENDABLE_REASONS = {
+    daily_limit: 'daily',
+    daily_limit_reached: 'daily',
+    session_limit_reached: 'session',
+    rest_period: 'session'
+};
+
+// Friction challenges handed to the overlay, by id. Kept in memory only: if the service worker
+// restarts in between, the overlay simply asks for a new one.
+const pendingExtensions = new Map();
+const EXTENSION_CHALLENGE_TTL = 10 * 60 * 1000;
+
+/**
+ * Why a category's block can't be extended, or null when it can. Only the category's own limits
+ * extend, and only once they are reached: a daily extension needs today's usage at the effective
+ * daily limit, a session extension the category's own break (not a group's, a global one or the
+ * evening gap), whatever reason the overlay reports.
+ * @returns {Promise<'not_extendable' | null>}
+ */
+async function getExtensionBlocker(categoryKey, limitReason) {
+    const kind = EXTENDABLE_REASONS[limitReason];
+    const categories = await getCategories();
+    if (!kind || !categories[categoryKey]) return 'not_extendable';
+
+    if (kind === 'daily') {
+        const { category } = await getCategoryForToday(categoryKey, categories[categoryKey]);
+        const usage = await getCategoryUsage(categoryKey);
+        if (!category.dailyLimit || usage.totalTime < category.dailyLimit) return 'not_extendable';
+    }
+    if (kind === 'session') {
+        const state = await getCategoryActiveState(categoryKey);
+        if (!state.inRest || !(state.restEnd > Date.now())) return 'not_extendable';
+    }
+    return null;
+}
+
+/**
+ * Whether an extension can be taken now, and how many are left today. With a category and the
+ * overlay's reason, `extendable` tells whether that block can be extended at all.
+ */
+export async function getExtensionStatus(categoryKey = null, limitReason = null) {
+    const settings = await getExtensionSettings();
+    const usedToday = (await getTodayExtensions()).length;
+    return {
+        enabled: !!settings.enabled,
+        friction: settings.friction,
+        duration: settings.duration,
+        maxPerDay: settings.maxPerDay,
+        usedToday,
+        remaining: Math.max(0, settings.maxPerDay - usedToday),
+        extendable: categoryKey ? !(await getExtensionBlocker(categoryKey, limitReason)) : null
+    };
+}
+
+/**
+ * Start the extension flow for a blocked category: checks the daily cap and returns the
+ * friction step the overlay has to complete (see completeExtension).
+ * @returns {Promise<{ allowed: boolean, reason?: string, challengeId?: string, friction?: string,
+ *   waitSeconds?: number, sentence?: string, question?: string, duration?: number, remaining?: number }>}
+ *   reason: 'disabled' | 'not_extendable' | 'cap_reached'
+ */
+export async function requestExtension(categoryKey, limitReason) {
+    const settings = await getExtensionSettings();
+    const status = await getExtensionStatus();
+
+    if (!settings.enabled) {
+        return { allowed: false, reason: 'disabled' };
+    }
+    const blocker = await getExtensionBlocker(categoryKey, limitReason);
+    if (blocker) {
+        return { allowed: false, reason: blocker };
+    }
+    if (status.remaining <= 0) {
+        return { allowed: false, reason: 'cap_reached', maxPerDay: settings.maxPerDay };
+    }
+
+    const now = Date.now();
+    for (const [id, pending] of pendingExtensions) {
+        if (pending.expiresAt < now) pendingExtensions.delete(id);
+    }
+
+    const challenge = {
+        categoryKey,
+        limitReason,
+        friction: settings.friction,
+        notBefore: now,
+        expiresAt: now + EXTENSION_CHALLENGE_TTL
+    };
+    const result = {
+        allowed: true,
+        friction: settings.friction,
+        duration: settings.duration,
+        remaining: status.remaining
+    };
+
+    if (settings.friction === 'type') {
+        challenge.answer = settings.sentence;
+        result.sentence = settings.sentence;
+    } else if (settings.friction === 'puzzle') {
+        const a = 12 + Math.floor(Math.random() * 18);
+        const b = 3 + Math.floor(Math.random() * 7);
+        const c = 11 + Math.floor(Math.random() * 89);
+        challenge.answer = String(a * b + c);
+        result.question = `${a} × ${b} + ${c}`;
+    } else {
+        challenge.notBefore = now + settings.waitSeconds * 1000;
+        challenge.expiresAt += settings.waitSeconds * 1000;
+        result.waitSeconds = settings.waitSeconds;
+    }
+
+    const challengeId = `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    pendingExtensions.set(challengeId, challenge);
+
+    return { ...result, challengeId };
+}
+
+/**
+ * Grant an extension once its friction step is done, and log it with the user's reason
+ * @param {string} response - Typed sentence or puzzle answer (ignored for 'wait')
+ * @returns {Promise<{ success: boolean, reason?: string, categoryKey?: string, kind?: string, duration?: number }>}
+ *   reason: 'expired' | 'too_early' | 'wrong_response' | 'reason_required' | 'cap_reached'
+ */
+export async function completeExtension(challengeId, response, reason) {
+    const challenge = pendingExtensions.get(challengeId);
+    const now = Date.now();
+
+    if (!challenge || challenge.expiresAt < now) {
+        pendingExtensions.delete(challengeId);
+        return { success: false, reason: 'expired' };
+    }
+    if (now < challenge.notBefore) {
+        return { success: false, reason: 'too_early' };
+    }
+    if (challenge.answer !== undefined && normalizeResponse(response) !== normalizeResponse(challenge.answer)) {
+        return { success: false, reason: 'wrong_response' };
+    }
+
+    const explanation = String(reason || '').trim().slice(0, 200);
+    if (!explanation) {
+        return { success: false, reason: 'reason_required' };
+    }
+
+    const settings = await getExtensionSettings();
+    if ((await getTodayExtensions()).length >= settings.maxPerDay) {
+        pendingExtensions.delete(challengeId);
+        return { success: false, reason: 'cap_reached' };
+    }
+
+    pendingExtensions.delete(challengeId);
+    const { categoryKey, limitReason, friction } = challenge;
+    const kind = EXTENDABLE_REASONS[limitReason];
+
+    if (kind === 'session') {
+        const categories = await getCategories();
+        const category = getCategoryForDay(categories[categoryKey]);
+
+        // Continue the session that just ended with `duration` left of it (negative when the
+        // extension is longer than a whole session)
+        await reopenCategorySession(categoryKey);
+        await updateCategoryActiveState(categoryKey, {
+            inSession: true,
+            sessionStart: now,
+            sessionEffectiveTime: (category?.sessionDuration || 0) - settings.duration,
+            inRest: false,
+            restEnd: null
+        });
+    }
+
+    await addExtensionLogEntry({
+        categoryKey,
+        kind,
+        limitReason,
+        friction,
+        duration: settings.duration,
+        reason: explanation
+    });
+
+    console.log(`[Extension] Granted ${formatTime(settings.duration)} (${kind}) for ${categoryKey}`);
+    return { success: true, categoryKey, kind, duration: settings.duration };
+}
+
+function normalizeResponse(text) {
+    return String(text ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
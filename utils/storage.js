@@ -12,42 +12,95 @@ const STORAGE_KEYS = {
     USAGE: 'usage',
     ACTIVE_STATE: 'activeState',
     SETTINGS: 'settings',
-    DOMAIN_LIMITS: 'domainLimits'  // Per-domain time limits
+    DOMAIN_LIMITS: 'domainLimits',  // Per-domain time limits
+    CHANNEL_LIMITS: 'channelLimits',  // Per-channel time limits, keyed by domain then channel entry
+    URL_RULES: 'urlRules',  // Path/glob/regex rules that override domain-based categorisation
+    KEYWORD_RULES: 'keywordRules',  // Page title/metadata rules that reassign, exempt or block pages
+    USAGE_BUCKETS: 'usageBuckets',  // Per-minute category time, for rolling-window limits
+    TIME_BANK: 'timeBank',  // Banked minutes earned on productive categories, see "Time Bank" below
+    GLOBAL_STATE: 'globalState',  // Cross-category session/rest state for settings.globalLimits
+    EXTENSION_LOG: 'extensionLog',  // Limit extensions ("snoozes") taken from the overlay, see "Limit Extensions" below
+    SETTINGS_LOCK: 'settingsLock',  // PIN hash and unlock/lockout state, see "Settings Lock" below
+    PENDING_CHANGES: 'pendingChanges'  // Loosening changes waiting out the commitment delay, see "Commitment Mode" below
 };
 
+// Which playing videos VideoDetector (content.js) ignores. New categories start with these;
+// categories saved before the filters existed have no videoFilters and keep counting every
+// video (VIDEO_FILTERS_OFF) until the filters are turned on in the category editor.
+const DEFAULT_VIDEO_FILTERS = {
+    ignoreMuted: true,          // Muted autoplay previews
+    minWidth: 200,              // Miniature tiles and background players (px)
+    ignoreOffscreen: true,      // Scrolled out of the viewport
+    requireUserGesture: false   // Nothing counts until the user has interacted with the page
+};
+const VIDEO_FILTERS_OFF = { ignoreMuted: false, minWidth: 0, ignoreOffscreen: false, requireUserGesture: false };
+
 const DEFAULT_CATEGORIES = {
     video: {
         name: 'Video',
-        type: 'video',
+        type: 'video',           // Detector type, or 'group' for a category that only holds others
+        parent: null,            // Key of a 'group' category whose limits also apply (see getCategoryAncestors())
         domains: ['youtube.com', 'bilibili.com', 'vimeo.com', 'netflix.com', 'twitch.tv', 'tiktok.com', 'youtubekids.com'],
         dailyLimit: 7200,        // 2 hours
         sessionDuration: 1800,   // 30 minutes
         sessionCount: 4,         // 4 sessions max
         restDuration: 600,       // 10 minutes rest
+        timeAccounting: 'wallclock',  // 'wallclock' = time sat watching, 'content' = media time consumed
+        adsCountTowardLimits: false,  // Ad playback (detected by site adapters) is recorded as adTime only
+        countWhenUnfocused: true,  // Keep counting a visible player in an unfocused window (second monitor)
+        channelRules: { allow: [], block: [], allowAction: 'exempt', allowCategory: null },  // See applyChannelRules()
+        videoFilters: { ...DEFAULT_VIDEO_FILTERS },
+        weekdayLimits: {},       // Per-day-of-week overrides, see getCategoryForDay()
+        weeklyLimit: null,       // Weekly budget in seconds (null = none); the week follows settings.weekStartsOnMonday
+        carryOverMax: 0,         // Max unused daily time carried to later days of the week (0 = off)
+        rollingLimit: null,      // { window, limit } in seconds, e.g. at most 45 min in any 3 hours
+        restEscalation: null,    // Longer rests as the day goes on, see getRestDuration()
+        earnRatio: 0,            // Banked seconds earned per second spent here (0 = doesn't earn)
+        bankSpendable: true,     // Banked time can be spent to go past this category's dailyLimit
         forbiddenPeriods: [],
         enabled: true
     },
     reading: {
         name: 'Reading',
         type: 'reading',
+        parent: null,
         domains: ['reddit.com', 'wikipedia.org', 'medium.com', 'jianshu.com'],
         idleTimeout: 30,         // 30 seconds idle = stop
         dailyLimit: 3600,        // 1 hour
         sessionDuration: 1200,   // 20 minutes
         sessionCount: 3,
         restDuration: 300,       // 5 minutes rest
+        composingWeight: 1,      // Share of composing (typing) time that counts: 1 = all, 0 = exempt
+        countWhenUnfocused: false,  // Visible tab in an unfocused window doesn't count
+        weekdayLimits: {},
+        weeklyLimit: null,
+        carryOverMax: 0,
+        rollingLimit: null,
+        restEscalation: null,
+        earnRatio: 0,
+        bankSpendable: false,
         forbiddenPeriods: [],
         enabled: true
     },
     social: {
         name: 'Social Media',
         type: 'social',
+        parent: null,
         domains: ['twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'weibo.com'],
         idleTimeout: 30,
         dailyLimit: 7200,        // 2 hours
         sessionDuration: 1800,    // 30 minutes
         sessionCount: 4,         // 4 sessions max
         restDuration: 600,       // 10 minutes rest
+        dailyPostLimit: null,    // Max feed posts scrolled past per day (null = no cap)
+        countWhenUnfocused: false,
+        weekdayLimits: {},
+        weeklyLimit: null,
+        carryOverMax: 0,
+        rollingLimit: null,
+        restEscalation: null,
+        earnRatio: 0,
+        bankSpendable: true,
         forbiddenPeriods: [],
         enabled: true
     }
@@ -58,12 +111,47 @@ const DEFAULT_SETTINGS = {
     showNotifications: true,
     showBadge: true,
     strictMode: false,  // If true, forbidden periods block immediately
-    weekStartsOnMonday: true  // Week starts on Monday (ISO standard)
+    weekStartsOnMonday: true,  // Week starts on Monday (ISO standard)
+    siteAdapters: [],  // User-defined site adapter definitions (see siteAdapters.js for the schema)
+    timeBank: {
+        maxBalance: 7200,      // Earning stops once the balance holds 2 hours
+        dailySpendCap: 3600,   // At most 1 hour of banked time spent per day, across categories
+        spendStep: 900         // Amount offered per "spend" on the overlay (15 minutes)
+    },
+    globalLimits: {            // Apply to the combined time of all enabled categories (null = off)
+        dailyLimit: null,      // Daily screen-time cap in seconds
+        sessionDuration: null, // Continuous time before a global break, in seconds
+        restDuration: 600      // Length of the global break; a pause this long also ends the session
+    },
+    extensions: {              // Extending a daily limit or session from the overlay
+        enabled: true,
+        friction: 'wait',      // Step before granting: 'wait' (timer), 'type' (copy the sentence), 'puzzle' (arithmetic)
+        waitSeconds: 60,
+        sentence: 'I am choosing to spend more time here instead of taking a break.',
+        maxPerDay: 2,          // Across all categories
+        duration: 600          // Seconds added per extension
+    },
+    lock: {                    // PIN lock of the options page (only active once a PIN is set)
+        unlockTimeout: 300,    // Seconds an unlock lasts
+        maxAttempts: 5,        // Wrong PINs before a lockout
+        lockoutDuration: 900   // Seconds no PIN is accepted after too many wrong ones
+    },
+    commitment: {              // Loosening a limit only takes effect after a delay
+        enabled: false,
+        delay: 86400           // Seconds a loosening change waits in the pendingChanges queue
+    }
 };
 
 // Data retention: 1 month
 const DATA_RETENTION_DAYS = 31;
 
+// Secondary per-category figures stored next to totalTime in usage[date][category]
+// wallTime/contentTime: media playback in real time vs. media time consumed (differ when playbackRate != 1)
+// adTime: ad playback, kept out of the two above
+// postsSeen/screensScrolled: feed items scrolled past and viewport heights scrolled (social detector)
+// composeTime/consumeTime: active reading time spent typing vs. browsing (reading/social detectors)
+const USAGE_METRICS = ['wallTime', 'contentTime', 'adTime', 'postsSeen', 'screensScrolled', 'composeTime', 'consumeTime'];
+
 // =====================
 // Storage Cache & Batch Write
 // =====================
@@ -76,6 +164,10 @@ const storageCache = {
     lastUsageWrite: 0,
     pendingTimeUpdates: new Map(), // categoryKey -> seconds to add
     pendingDomainUpdates: new Map(), // "categoryKey:domain" -> seconds to add
+    pendingMetricUpdates: new Map(), // "categoryKey:metric" -> amount to add
+    pendingChannelUpdates: new Map(), // JSON [categoryKey, domain, channelId] -> { seconds, name }
+    pendingBucketUpdates: new Map(), // "categoryKey:bucketStart" -> seconds to add
+    pendingBankEarnings: new Map(), // categoryKey -> banked seconds earned
     writeInterval: null
 };
 
@@ -102,7 +194,15 @@ function initBatchWriteSystem() {
  * This function is also exported so background.js can call it via chrome.alarms
  */
 export async function flushPendingTimeUpdates() {
-    if (storageCache.pendingTimeUpdates.size === 0 && storageCache.pendingDomainUpdates.size === 0) return;
+    if (storageCache.pendingTimeUpdates.size === 0 &&
+        storageCache.pendingDomainUpdates.size === 0 &&
+        storageCache.pendingMetricUpdates.size === 0 &&
+        storageCache.pendingChannelUpdates.size === 0 &&
+        storageCache.pendingBucketUpdates.size === 0 &&
+        storageCache.pendingBankEarnings.size === 0) return;
+
+    await flushPendingBucketUpdates();
+    await flushPendingBankEarnings();
 
     const data = await chrome.storage.local.get(STORAGE_KEYS.USAGE);
     const usage = data[STORAGE_KEYS.USAGE] || {};
@@ -138,6 +238,30 @@ export async function flushPendingTimeUpdates() {
         hasChanges = true;
     }
 
+    // Flush secondary metrics (stored next to totalTime)
+    for (const [key, amount] of storageCache.pendingMetricUpdates.entries()) {
+        const [categoryKey, metric] = key.split(':');
+        if (!usage[todayKey][categoryKey]) {
+            usage[todayKey][categoryKey] = { totalTime: 0, sessions: [], byDomain: {} };
+        }
+        usage[todayKey][categoryKey][metric] = (usage[todayKey][categoryKey][metric] || 0) + amount;
+        hasChanges = true;
+    }
+
+    // Flush channel-level time updates: byChannel[domain][channelId] = { time, name }
+    for (const [key, { seconds, name }] of storageCache.pendingChannelUpdates.entries()) {
+        const [categoryKey, domain, channelId] = JSON.parse(key);
+        if (!usage[todayKey][categoryKey]) {
+            usage[todayKey][categoryKey] = { totalTime: 0, sessions: [], byDomain: {} };
+        }
+        const byChannel = usage[todayKey][categoryKey].byChannel || (usage[todayKey][categoryKey].byChannel = {});
+        const domainChannels = byChannel[domain] || (byChannel[domain] = {});
+        const entry = domainChannels[channelId] || (domainChannels[channelId] = { time: 0, name: channelId });
+        entry.time += seconds;
+        if (name) entry.name = name;
+        hasChanges = true;
+    }
+
     if (hasChanges) {
         await chrome.storage.local.set({ [STORAGE_KEYS.USAGE]: usage });
         storageCache.usage = usage;
@@ -147,6 +271,8 @@ export async function flushPendingTimeUpdates() {
 
     storageCache.pendingTimeUpdates.clear();
     storageCache.pendingDomainUpdates.clear();
+    storageCache.pendingMetricUpdates.clear();
+    storageCache.pendingChannelUpdates.clear();
 }
 
 /**
@@ -264,22 +390,88 @@ export function getCurrentTimeMinutes() {
 }
 
 /**
- * Check if current time is within a forbidden period
+ * Get midnight timestamp for tomorrow
  */
-export function isInForbiddenPeriod(forbiddenPeriods) {
-    if (!forbiddenPeriods || forbiddenPeriods.length === 0) return false;
+export function getTomorrowMidnight() {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(0, 0, 0, 0);
+    return tomorrow.getTime();
+}
 
-    const currentMinutes = getCurrentTimeMinutes();
+// =====================
+// Forbidden Periods
+// =====================
 
-    for (const period of forbiddenPeriods) {
-        const start = parseTimeToMinutes(period.start);
-        const end = parseTimeToMinutes(period.end);
+/**
+ * Forbidden period schema (category.forbiddenPeriods[]):
+ * {
+ *   kind?: 'block' | 'exception' | 'once',   // Default 'block'
+ *   start?: 'HH:MM', end?: 'HH:MM',         // block/exception: daily window; end before start runs overnight,
+ *                                           // '24:00' = end of day, no times = whole days
+ *   days?: number[],                        // Days of week the window starts on (0 = Sunday); omitted = every day
+ *   from?: 'YYYY-MM-DD', until?: 'YYYY-MM-DD',  // Inclusive dates the window can start on; omitted = open-ended
+ *   startAt?: string, endAt?: string        // once: local date-times 'YYYY-MM-DDTHH:MM'
+ * }
+ * A moment is forbidden when a block or one-off period covers it and no exception does.
+ * Plain { start, end } entries (the original format) are daily blocks.
+ *
+ * Examples:
+ *   { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }            weekdays 9–17
+ *   { from: '2026-06-08', until: '2026-06-12' }                        all day during exam week
+ *   { kind: 'exception', from: '2026-12-25', until: '2026-12-26' }     holidays lift every block
+ *   { kind: 'once', startAt: '2026-10-20T18:00', endAt: '2026-10-21T09:00' }
+ */
 
-        // Handle overnight ranges (e.g., 22:00 to 08:00)
-        if (start > end) {
-            if (currentMinutes >= start || currentMinutes < end) return true;
-        } else {
-            if (currentMinutes >= start && currentMinutes < end) return true;
+/** How far ahead getNextAllowedTime() looks for the end of a block */
+const FORBIDDEN_LOOKAHEAD_DAYS = 31;
+
+/**
+ * Get a date key in YYYY-MM-DD format (local time)
+ */
+export function getDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Whether a recurring period's window may start on the given day (days mask and date range)
+ */
+function periodStartsOn(period, date) {
+    if (period.days?.length && !period.days.includes(date.getDay())) return false;
+    const dateKey = getDateKey(date);
+    if (period.from && dateKey < period.from) return false;
+    if (period.until && dateKey > period.until) return false;
+    return true;
+}
+
+/**
+ * Whether a single period (of any kind) covers the given moment
+ */
+export function periodCovers(period, date) {
+    if (period.kind === 'once') {
+        const startAt = new Date(period.startAt).getTime();
+        const endAt = new Date(period.endAt).getTime();
+        return date.getTime() >= startAt && date.getTime() < endAt;
+    }
+
+    // No time window = whole days
+    if (!period.start || !period.end) return periodStartsOn(period, date);
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = parseTimeToMinutes(period.start);
+    const end = parseTimeToMinutes(period.end);
+
+    if (start < end) {
+        return minutes >= start && minutes < end && periodStartsOn(period, date);
+    }
+
+    // Handle overnight ranges (e.g., 22:00 to 08:00): the early hours belong to yesterday's window
+    if (start > end) {
+        if (minutes >= start && periodStartsOn(period, date)) return true;
+        if (minutes < end) {
+            const yesterday = new Date(date);
+            yesterday.setDate(yesterday.getDate() - 1);
+            return periodStartsOn(period, yesterday);
         }
     }
 
@@ -287,48 +479,87 @@ export function isInForbiddenPeriod(forbiddenPeriods) {
 }
 
 /**
- * Get next allowed time after forbidden period ends
+ * Check if a moment (default: now) is within a forbidden period
  */
-export function getNextAllowedTime(forbiddenPeriods) {
-    if (!forbiddenPeriods || forbiddenPeriods.length === 0) return null;
+export function isInForbiddenPeriod(forbiddenPeriods, date = new Date()) {
+    if (!forbiddenPeriods || forbiddenPeriods.length === 0) return false;
 
-    const currentMinutes = getCurrentTimeMinutes();
+    const blocked = forbiddenPeriods.some(period => period.kind !== 'exception' && periodCovers(period, date));
+    if (!blocked) return false;
 
-    for (const period of forbiddenPeriods) {
-        const start = parseTimeToMinutes(period.start);
-        const end = parseTimeToMinutes(period.end);
-
-        if (start > end) {
-            if (currentMinutes >= start || currentMinutes < end) {
-                const now = new Date();
-                const nextAllowed = new Date(now);
-                if (currentMinutes >= start) {
-                    nextAllowed.setDate(nextAllowed.getDate() + 1);
-                }
-                nextAllowed.setHours(Math.floor(end / 60), end % 60, 0, 0);
-                return nextAllowed.getTime();
+    return !forbiddenPeriods.some(period => period.kind === 'exception' && periodCovers(period, date));
+}
+
+/**
+ * Forbidden windows between two moments, merged and in order
+ * Coverage can only change at a window's start/end minute, at midnight (days masks and date
+ * ranges) or at a one-off's bounds, so the range is cut at those points and each piece tested.
+ * @param {Object[]} forbiddenPeriods
+ * @param {number} rangeStart - Timestamp (ms)
+ * @param {number} rangeEnd - Timestamp (ms)
+ * @returns {{ start: number, end: number }[]}
+ */
+export function getForbiddenWindows(forbiddenPeriods, rangeStart, rangeEnd) {
+    if (!forbiddenPeriods || forbiddenPeriods.length === 0) return [];
+
+    const boundaries = new Set([rangeStart, rangeEnd]);
+    const addBoundary = (time) => {
+        if (time > rangeStart && time < rangeEnd) boundaries.add(time);
+    };
+
+    const day = new Date(rangeStart);
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() - 1);
+    while (day.getTime() < rangeEnd) {
+        addBoundary(day.getTime());
+        for (const period of forbiddenPeriods) {
+            if (period.kind === 'once' || !period.start || !period.end) continue;
+            for (const time of [period.start, period.end]) {
+                const minutes = parseTimeToMinutes(time);
+                const boundary = new Date(day);
+                boundary.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+                addBoundary(boundary.getTime());
             }
+        }
+        day.setDate(day.getDate() + 1);
+    }
+
+    for (const period of forbiddenPeriods) {
+        if (period.kind === 'once') {
+            addBoundary(new Date(period.startAt).getTime());
+            addBoundary(new Date(period.endAt).getTime());
+        }
+    }
+
+    const points = [...boundaries].filter(t => !Number.isNaN(t)).sort((a, b) => a - b);
+    const windows = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        if (!isInForbiddenPeriod(forbiddenPeriods, new Date(points[i]))) continue;
+
+        const last = windows[windows.length - 1];
+        if (last && last.end === points[i]) {
+            last.end = points[i + 1];
         } else {
-            if (currentMinutes >= start && currentMinutes < end) {
-                const now = new Date();
-                const nextAllowed = new Date(now);
-                nextAllowed.setHours(Math.floor(end / 60), end % 60, 0, 0);
-                return nextAllowed.getTime();
-            }
+            windows.push({ start: points[i], end: points[i + 1] });
         }
     }
 
-    return null;
+    return windows;
 }
 
 /**
- * Get midnight timestamp for tomorrow
+ * Get next allowed time after the current forbidden period ends
+ * @returns {number|null} Timestamp, or null when not blocked (or blocked beyond the lookahead)
  */
-export function getTomorrowMidnight() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    return tomorrow.getTime();
+export function getNextAllowedTime(forbiddenPeriods, date = new Date()) {
+    if (!forbiddenPeriods || forbiddenPeriods.length === 0) return null;
+
+    const now = date.getTime();
+    const horizon = now + FORBIDDEN_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+    const [current] = getForbiddenWindows(forbiddenPeriods, now, horizon);
+
+    if (!current || current.start > now || current.end >= horizon) return null;
+    return current.end;
 }
 
 // =====================
@@ -362,6 +593,42 @@ export async function initializeStorage() {
         updates[STORAGE_KEYS.DOMAIN_LIMITS] = {};
     }
 
+    if (!data[STORAGE_KEYS.CHANNEL_LIMITS]) {
+        updates[STORAGE_KEYS.CHANNEL_LIMITS] = {};
+    }
+
+    if (!data[STORAGE_KEYS.URL_RULES]) {
+        updates[STORAGE_KEYS.URL_RULES] = [];
+    }
+
+    if (!data[STORAGE_KEYS.KEYWORD_RULES]) {
+        updates[STORAGE_KEYS.KEYWORD_RULES] = [];
+    }
+
+    if (!data[STORAGE_KEYS.USAGE_BUCKETS]) {
+        updates[STORAGE_KEYS.USAGE_BUCKETS] = {};
+    }
+
+    if (!data[STORAGE_KEYS.TIME_BANK]) {
+        updates[STORAGE_KEYS.TIME_BANK] = { balance: 0, ledger: {} };
+    }
+
+    if (!data[STORAGE_KEYS.GLOBAL_STATE]) {
+        updates[STORAGE_KEYS.GLOBAL_STATE] = {};
+    }
+
+    if (!data[STORAGE_KEYS.EXTENSION_LOG]) {
+        updates[STORAGE_KEYS.EXTENSION_LOG] = [];
+    }
+
+    if (!data[STORAGE_KEYS.SETTINGS_LOCK]) {
+        updates[STORAGE_KEYS.SETTINGS_LOCK] = {};
+    }
+
+    if (!data[STORAGE_KEYS.PENDING_CHANGES]) {
+        updates[STORAGE_KEYS.PENDING_CHANGES] = [];
+    }
+
     // Migrate old usage data to include byDomain field
     const existingUsage = data[STORAGE_KEYS.USAGE];
     if (existingUsage) {
@@ -421,6 +688,203 @@ export async function getCategoryForDomain(domain) {
     return null;
 }
 
+/**
+ * Find category for a full URL: URL rules first (highest priority wins, ties go to the
+ * earlier rule), then the hostname via getCategoryForDomain(). Keyword rules on the page's
+ * title/metadata can then override that, and the category's channel rules are applied last
+ * when the page's channel is known.
+ * An 'exempt' rule returns null so the page is not tracked at all.
+ * @param {string} url
+ * @param {{ id: string, name?: string }} [channel] - Channel/creator extracted by the site adapter
+ * @param {{ title?: string, ogTitle?: string, ogType?: string }} [page] - Page metadata for keyword rules
+ * @returns {Object|null} Category with its key (and matchedRule / matchedKeywordRule when a rule decided)
+ */
+export async function getCategoryForUrl(url, channel = null, page = null) {
+    let category = await getCategoryForUrlOnly(url);
+
+    if (page) {
+        let hostname = '';
+        try {
+            hostname = new URL(url).hostname.replace(/^www\./, '');
+        } catch { }
+        category = applyKeywordRules(category, hostname, page, await getKeywordRules(), await getCategories());
+    }
+
+    if (!category || category.keywordBlocked || !channel?.id) return category;
+
+    return applyChannelRules(category, channel, await getCategories());
+}
+
+async function getCategoryForUrlOnly(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    const domain = parsed.hostname.replace(/^www\./, '');
+
+    const rules = sortUrlRules(await getUrlRules());
+    for (const rule of rules) {
+        if (!matchUrlRule(rule, parsed)) continue;
+
+        if (rule.action === 'exempt') return null;
+
+        const categories = await getCategories();
+        const category = categories[rule.category];
+        if (category) {
+            return { key: rule.category, ...category, matchedRule: rule.id };
+        }
+    }
+
+    return getCategoryForDomain(domain);
+}
+
+/**
+ * Parent groups of a category, nearest first (category.parent names a category of type 'group').
+ * Missing parents and cycles end the chain.
+ * @param {Object} categories
+ * @param {string} categoryKey
+ * @returns {string[]}
+ */
+export function getCategoryAncestors(categories, categoryKey) {
+    const ancestors = [];
+    let parentKey = categories[categoryKey]?.parent;
+    while (parentKey && categories[parentKey] && parentKey !== categoryKey && !ancestors.includes(parentKey)) {
+        ancestors.push(parentKey);
+        parentKey = categories[parentKey].parent;
+    }
+    return ancestors;
+}
+
+/**
+ * All categories below a group, at any depth
+ * @returns {string[]}
+ */
+export function getCategoryDescendants(categories, groupKey) {
+    return Object.keys(categories).filter(key =>
+        key !== groupKey && getCategoryAncestors(categories, key).includes(groupKey));
+}
+
+/**
+ * Video filters in effect for a category (see DEFAULT_VIDEO_FILTERS)
+ */
+export function getVideoFilters(category) {
+    return category?.videoFilters ? { ...DEFAULT_VIDEO_FILTERS, ...category.videoFilters } : { ...VIDEO_FILTERS_OFF };
+}
+
+/**
+ * Video filters of a category, or those a new category starts with (categoryKey null)
+ */
+export async function getVideoFilterSettings(categoryKey = null) {
+    if (!categoryKey) return { ...DEFAULT_VIDEO_FILTERS };
+    const categories = await getCategories();
+    return getVideoFilters(categories[categoryKey]);
+}
+
+/**
+ * Limit fields a category can override per day of the week
+ */
+export const SCHEDULED_LIMIT_FIELDS = ['dailyLimit', 'sessionDuration', 'sessionCount'];
+
+/**
+ * Category with the limits in effect on a given day.
+ * category.weekdayLimits maps a day (0 = Sunday … 6 = Saturday, as Date#getDay) to partial
+ * overrides of SCHEDULED_LIMIT_FIELDS; fields a day leaves out (or null) keep the category's value.
+ *
+ * Example: { dailyLimit: 1800, weekdayLimits: { 0: { dailyLimit: 7200 }, 6: { dailyLimit: 7200 } } }
+ *   = 30 minutes on weekdays, 2 hours on weekends
+ */
+export function getCategoryForDay(category, date = new Date()) {
+    const overrides = category?.weekdayLimits?.[date.getDay()];
+    if (!overrides) return category;
+
+    const resolved = { ...category };
+    for (const field of SCHEDULED_LIMIT_FIELDS) {
+        if (overrides[field] != null) {
+            resolved[field] = overrides[field];
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Rest after a category's nth completed session of the day (1-based). Without restEscalation it is
+ * simply restDuration; otherwise category.restEscalation:
+ * {
+ *   mode: 'linear' | 'multiplier',  // Each earlier session adds `step` seconds, or multiplies the rest by `step`
+ *   step: number,
+ *   maxRest?: number,               // Cap on the escalated rest, seconds
+ *   longBreakEvery?: number,        // Every Nth session is followed by at least longBreakDuration (Pomodoro-style)
+ *   longBreakDuration?: number,
+ *   eveningStart?: 'HH:MM',         // A break leading into the evening lasts at least eveningGap, so the
+ *   eveningGap?: number             //   first evening session starts that long after the last daytime one
+ * }
+ *
+ * Example: { restDuration: 600, restEscalation: { mode: 'linear', step: 300, longBreakEvery: 4, longBreakDuration: 1800 } }
+ *   = 10, 15, 20 minutes, then a 30-minute break, then 30, 35, ...
+ * @param {Date} [now] - When the session ended
+ * @returns {{ duration: number, kind: 'normal' | 'long' | 'evening' }}
+ */
+export function getRestDuration(category, sessionNumber, now = new Date()) {
+    const base = category?.restDuration || 0;
+    const escalation = category?.restEscalation;
+    if (!escalation) return { duration: base, kind: 'normal' };
+
+    const earlierSessions = Math.max(0, sessionNumber - 1);
+    let duration = base;
+    if (escalation.mode === 'multiplier' && escalation.step > 0) {
+        duration = base * Math.pow(escalation.step, earlierSessions);
+    } else if (escalation.mode === 'linear') {
+        duration = base + (escalation.step || 0) * earlierSessions;
+    }
+    if (escalation.maxRest) {
+        duration = Math.min(duration, Math.max(base, escalation.maxRest));
+    }
+    duration = Math.round(duration);
+
+    let kind = 'normal';
+    if (escalation.longBreakEvery > 0 && sessionNumber % escalation.longBreakEvery === 0 &&
+        escalation.longBreakDuration > duration) {
+        duration = escalation.longBreakDuration;
+        kind = 'long';
+    }
+
+    if (escalation.eveningStart && escalation.eveningGap > duration) {
+        const [hours, minutes] = escalation.eveningStart.split(':').map(Number);
+        const evening = new Date(now);
+        evening.setHours(hours, minutes, 0, 0);
+        // Only a daytime session whose gap would reach into the evening
+        if (now < evening && now.getTime() + escalation.eveningGap * 1000 > evening.getTime()) {
+            duration = escalation.eveningGap;
+            kind = 'evening';
+        }
+    }
+
+    return { duration, kind };
+}
+
+/**
+ * End of the evening gap (restEscalation.eveningGap) still holding back the first evening session,
+ * measured from the end of the day's last session however it ended; null when nothing is held back.
+ * Once a session has started in the evening the gap has been kept.
+ * @param {Object[]} sessions - Today's sessions of the category ({ start, end })
+ * @returns {number | null} Timestamp
+ */
+export function getEveningGapEnd(category, sessions, now = Date.now()) {
+    const escalation = category?.restEscalation;
+    if (!escalation?.eveningStart || !(escalation.eveningGap > 0)) return null;
+
+    const [hours, minutes] = escalation.eveningStart.split(':').map(Number);
+    const evening = new Date(now);
+    evening.setHours(hours, minutes, 0, 0);
+    if (now < evening.getTime() || sessions.some(session => session.start >= evening.getTime())) return null;
+
+    const lastEnd = Math.max(0, ...sessions.map(session => session.end || 0));
+    const gapEnd = lastEnd + escalation.eveningGap * 1000;
+    return lastEnd && gapEnd > now ? gapEnd : null;
+}
+
 /**
  * Get settings
  */
@@ -485,6 +949,23 @@ export async function getTodayUsage() {
     return usage[todayKey] || {};
 }
 
+/**
+ * Combined time today of all enabled categories (what settings.globalLimits.dailyLimit caps)
+ * IMPORTANT: Includes pending (unflushed) time for accurate limit checking
+ */
+export async function getGlobalUsage() {
+    const categories = await getCategories();
+    const todayUsage = await getTodayUsage();
+
+    let totalTime = 0;
+    for (const [categoryKey, category] of Object.entries(categories)) {
+        if (!category.enabled) continue;
+        totalTime += (todayUsage[categoryKey]?.totalTime || 0) +
+            (storageCache.pendingTimeUpdates.get(categoryKey) || 0);
+    }
+    return totalTime;
+}
+
 /**
  * Get usage for a specific category today
  * IMPORTANT: Includes pending (unflushed) time for accurate limit checking
@@ -496,10 +977,42 @@ export async function getCategoryUsage(categoryKey) {
     // Include pending time in the returned total for accurate limit checking
     const pendingTime = storageCache.pendingTimeUpdates.get(categoryKey) || 0;
     const totalWithPending = baseUsage.totalTime + pendingTime;
+    const pendingPosts = storageCache.pendingMetricUpdates.get(`${categoryKey}:postsSeen`) || 0;
 
     return {
         totalTime: totalWithPending,
-        sessions: baseUsage.sessions
+        sessions: baseUsage.sessions,
+        postsSeen: (baseUsage.postsSeen || 0) + pendingPosts
+    };
+}
+
+/**
+ * Get a category's usage for each day of the current week up to today
+ * IMPORTANT: Includes pending (unflushed) time for today, like getCategoryUsage()
+ * @returns {Promise<{ weekStart: Date, weekEnd: Date, totalTime: number, days: { date: Date, dateKey: string, totalTime: number }[] }>}
+ */
+export async function getCategoryWeekUsage(categoryKey, date = new Date()) {
+    const settings = await getSettings();
+    const { start, end } = getCurrentWeekRange(settings.weekStartsOnMonday !== false, date);
+    const data = await chrome.storage.local.get(STORAGE_KEYS.USAGE);
+    const usage = data[STORAGE_KEYS.USAGE] || {};
+    const todayKey = getDateKey(date);
+
+    const days = [];
+    for (const day = new Date(start); day <= date; day.setDate(day.getDate() + 1)) {
+        const dateKey = getDateKey(day);
+        let totalTime = usage[dateKey]?.[categoryKey]?.totalTime || 0;
+        if (dateKey === todayKey) {
+            totalTime += storageCache.pendingTimeUpdates.get(categoryKey) || 0;
+        }
+        days.push({ date: new Date(day), dateKey, totalTime });
+    }
+
+    return {
+        weekStart: start,
+        weekEnd: end,
+        totalTime: days.reduce((sum, day) => sum + day.totalTime, 0),
+        days
     };
 }
 
@@ -513,6 +1026,7 @@ export async function addCategoryTime(categoryKey, seconds) {
     // Add to pending updates (will be flushed periodically)
     const currentPending = storageCache.pendingTimeUpdates.get(categoryKey) || 0;
     storageCache.pendingTimeUpdates.set(categoryKey, currentPending + seconds);
+    addUsageBucketTime(categoryKey, seconds);
 
     // Get current usage from cache or storage
     const usage = await getCachedUsage();
@@ -529,7 +1043,7 @@ export async function addCategoryTime(categoryKey, seconds) {
     // If we're close to a limit, flush immediately to ensure accuracy
     // This prevents users from exceeding limits due to batching delays
     const categories = await getCategories();
-    const category = categories[categoryKey];
+    const category = getCategoryForDay(categories[categoryKey]);
     if (category?.dailyLimit && totalWithPending >= category.dailyLimit * 0.95) {
         await flushPendingTimeUpdates();
     }
@@ -540,6 +1054,19 @@ export async function addCategoryTime(categoryKey, seconds) {
     };
 }
 
+/**
+ * Add secondary usage metrics for a category (batched like category time)
+ * @param {string} categoryKey
+ * @param {Object<string, number>} metrics - e.g. { wallTime: 12, contentTime: 24 }
+ */
+export function addCategoryMetrics(categoryKey, metrics) {
+    for (const [metric, amount] of Object.entries(metrics)) {
+        if (!USAGE_METRICS.includes(metric) || !amount) continue;
+        const key = `${categoryKey}:${metric}`;
+        storageCache.pendingMetricUpdates.set(key, (storageCache.pendingMetricUpdates.get(key) || 0) + amount);
+    }
+}
+
 /**
  * Add time immediately without batching (used for critical updates)
  */
@@ -589,6 +1116,26 @@ export async function startCategorySession(categoryKey) {
     return session;
 }
 
+/**
+ * Reopen today's last session of a category (a session extension continues it rather than
+ * counting as a new one). Starts a new session when there is none to reopen.
+ */
+export async function reopenCategorySession(categoryKey) {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.USAGE);
+    const usage = data[STORAGE_KEYS.USAGE] || {};
+    const sessions = usage[getTodayKey()]?.[categoryKey]?.sessions;
+    const lastSession = sessions?.[sessions.length - 1];
+
+    if (!lastSession) {
+        return startCategorySession(categoryKey);
+    }
+
+    lastSession.end = null;
+    lastSession.duration = 0;
+    await chrome.storage.local.set({ [STORAGE_KEYS.USAGE]: usage });
+    return lastSession;
+}
+
 /**
  * End current session for a category
  */
@@ -674,7 +1221,130 @@ export async function updateCategoryActiveState(categoryKey, newState) {
  * Clear all active states (for daily reset)
  */
 export async function clearActiveStates() {
-    await chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_STATE]: {} });
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.ACTIVE_STATE]: {},
+        [STORAGE_KEYS.GLOBAL_STATE]: {}
+    });
+}
+
+/**
+ * Global limits with defaults for keys missing from older settings
+ */
+export async function getGlobalLimits() {
+    const settings = await getSettings();
+    return { ...DEFAULT_SETTINGS.globalLimits, ...settings.globalLimits };
+}
+
+/**
+ * Get the cross-category session state: { sessionEffectiveTime, lastActivity, inRest, restEnd }
+ */
+export async function getGlobalState() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.GLOBAL_STATE);
+    return {
+        sessionEffectiveTime: 0,
+        lastActivity: null,
+        inRest: false,
+        restEnd: null,
+        ...data[STORAGE_KEYS.GLOBAL_STATE]
+    };
+}
+
+/**
+ * Update the cross-category session state
+ */
+export async function updateGlobalState(newState) {
+    const state = { ...await getGlobalState(), ...newState };
+    await chrome.storage.local.set({ [STORAGE_KEYS.GLOBAL_STATE]: state });
+    return state;
+}
+
+// =====================
+// Rolling Window Usage
+// =====================
+
+/**
+ * Category time is also kept in one-minute buckets so limits can look at any trailing window
+ * (e.g. at most 45 minutes in any 3 hours) rather than the calendar day.
+ * Stored as usageBuckets[categoryKey][bucketStart] = seconds, and unlike activeState it
+ * survives the daily reset, since a window can span midnight.
+ */
+const USAGE_BUCKET_SIZE = 60 * 1000;
+
+// Buckets older than the longest supported window are pruned on flush
+export const MAX_ROLLING_WINDOW = 24 * 3600;
+
+function addUsageBucketTime(categoryKey, seconds, now = Date.now()) {
+    if (!(seconds > 0)) return;
+    const key = `${categoryKey}:${now - (now % USAGE_BUCKET_SIZE)}`;
+    storageCache.pendingBucketUpdates.set(key, (storageCache.pendingBucketUpdates.get(key) || 0) + seconds);
+}
+
+/**
+ * Write pending bucket time and drop buckets that fell out of MAX_ROLLING_WINDOW
+ */
+async function flushPendingBucketUpdates() {
+    if (storageCache.pendingBucketUpdates.size === 0) return;
+
+    const data = await chrome.storage.local.get(STORAGE_KEYS.USAGE_BUCKETS);
+    const buckets = data[STORAGE_KEYS.USAGE_BUCKETS] || {};
+    const cutoff = Date.now() - MAX_ROLLING_WINDOW * 1000 - USAGE_BUCKET_SIZE;
+
+    for (const [key, seconds] of storageCache.pendingBucketUpdates.entries()) {
+        const [categoryKey, bucketStart] = key.split(':');
+        const categoryBuckets = buckets[categoryKey] || (buckets[categoryKey] = {});
+        categoryBuckets[bucketStart] = (categoryBuckets[bucketStart] || 0) + seconds;
+    }
+    storageCache.pendingBucketUpdates.clear();
+
+    for (const categoryBuckets of Object.values(buckets)) {
+        for (const bucketStart of Object.keys(categoryBuckets)) {
+            if (Number(bucketStart) < cutoff) delete categoryBuckets[bucketStart];
+        }
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.USAGE_BUCKETS]: buckets });
+}
+
+/**
+ * Category time within the trailing window, including pending (unflushed) time.
+ * A bucket counts while any part of it is inside the window, so usage leaves the
+ * window at most a minute late - never early.
+ * @param {string} categoryKey
+ * @param {number} windowSeconds
+ * @param {number|null} [limit] - When given and reached, also work out when usage drops below it
+ * @returns {Promise<{ used: number, freesAt: number|null }>} freesAt is a timestamp (ms)
+ */
+export async function getRollingUsage(categoryKey, windowSeconds, limit = null, now = Date.now()) {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.USAGE_BUCKETS);
+    const byStart = { ...(data[STORAGE_KEYS.USAGE_BUCKETS]?.[categoryKey] || {}) };
+
+    for (const [key, seconds] of storageCache.pendingBucketUpdates.entries()) {
+        const [pendingCategory, bucketStart] = key.split(':');
+        if (pendingCategory === categoryKey) {
+            byStart[bucketStart] = (byStart[bucketStart] || 0) + seconds;
+        }
+    }
+
+    const windowStart = now - windowSeconds * 1000;
+    const buckets = Object.entries(byStart)
+        .map(([start, seconds]) => ({ start: Number(start), seconds }))
+        .filter(b => b.start + USAGE_BUCKET_SIZE > windowStart)
+        .sort((a, b) => a.start - b.start);
+
+    const used = buckets.reduce((sum, b) => sum + b.seconds, 0);
+    if (!limit || used < limit) {
+        return { used, freesAt: null };
+    }
+
+    // Oldest buckets leave the window first; find when enough has left to get under the limit
+    let remaining = used;
+    for (const bucket of buckets) {
+        remaining -= bucket.seconds;
+        if (remaining < limit) {
+            return { used, freesAt: bucket.start + USAGE_BUCKET_SIZE + windowSeconds * 1000 };
+        }
+    }
+    return { used, freesAt: now + windowSeconds * 1000 };
 }
 
 // =====================
@@ -755,23 +1425,315 @@ export async function cleanupOldData(retentionDays = DATA_RETENTION_DAYS) {
     if (hasChanges) {
         await chrome.storage.local.set({ [STORAGE_KEYS.USAGE]: usage });
     }
+
+    const extensionLog = await getExtensionLog();
+    const keptExtensions = extensionLog.filter(entry => new Date(entry.dateKey) >= cutoff);
+    if (keptExtensions.length !== extensionLog.length) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.EXTENSION_LOG]: keptExtensions });
+    }
+
+    // The time bank ledger follows the same retention; the balance itself is kept
+    const bank = await getTimeBankData();
+    let bankChanged = false;
+    for (const dateKey of Object.keys(bank.ledger)) {
+        if (new Date(dateKey) < cutoff) {
+            delete bank.ledger[dateKey];
+            bankChanged = true;
+        }
+    }
+    if (bankChanged) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.TIME_BANK]: bank });
+    }
 }
 
 // =====================
-// Domain-Level Time Tracking
+// URL Rules
+// =====================
+
+/**
+ * URL rule schema (stored as an array under STORAGE_KEYS.URL_RULES):
+ * {
+ *   id: string,
+ *   domain: string,                  // Hostname the rule applies to (subdomains included)
+ *   matchType: 'prefix' | 'glob' | 'regex',
+ *   pattern: string,                 // prefix/glob: matched against the path; regex: against path + query
+ *   query?: [{ param: string, value: string|null }],  // All must match; null value = param present
+ *   action: 'category' | 'exempt',
+ *   category?: string,               // Target category key for action 'category'
+ *   priority: number,                // Higher is evaluated first
+ *   enabled: boolean
+ * }
+ */
+
+export async function getUrlRules() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.URL_RULES);
+    return data[STORAGE_KEYS.URL_RULES] || [];
+}
+
+/**
+ * Add a URL rule from the options page (an exempt rule is queued in commitment mode)
+ * @returns {Promise<{ rules: Object[], queued: Object[] }>}
+ */
+export async function addUrlRule(rule) {
+    return addRule(STORAGE_KEYS.URL_RULES, 'addUrlRule', rule);
+}
+
+/**
+ * Remove a URL rule from the options page (a category rule's removal is queued in commitment mode)
+ * @returns {Promise<{ rules: Object[], queued: Object[] }>}
+ */
+export async function removeUrlRule(ruleId) {
+    return removeRule(STORAGE_KEYS.URL_RULES, 'removeUrlRule', ruleId);
+}
+
+/**
+ * Enabled rules in evaluation order (priority descending, stable for ties).
+ * Keyword rules use the same ordering.
+ */
+export function sortUrlRules(rules) {
+    return rules
+        .map((rule, index) => ({ rule, index }))
+        .filter(({ rule }) => rule && rule.enabled !== false)
+        .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+        .map(({ rule }) => rule);
+}
+
+/**
+ * Convert a glob ('*' = any run of characters, '?' = one character) to an anchored RegExp
+ */
+export function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+}
+
+/**
+ * Test a URL rule against a parsed URL
+ * @param {Object} rule - See the URL rule schema above
+ * @param {URL} url
+ * @returns {boolean}
+ *
+ * Examples:
+ *   { domain: 'youtube.com', matchType: 'prefix', pattern: '/shorts' }  matches youtube.com/shorts/abc
+ *   { domain: 'youtube.com', matchType: 'glob', pattern: '/feed/*' }     matches m.youtube.com/feed/subscriptions
+ *   { domain: 'youtube.com', matchType: 'prefix', pattern: '/playlist',
+ *     query: [{ param: 'list', value: 'PL123' }] }                       matches youtube.com/playlist?list=PL123
+ */
+export function matchUrlRule(rule, url) {
+    const hostname = url.hostname.replace(/^www\./, '');
+    if (!rule.domain || !matchDomain(hostname, rule.domain)) return false;
+
+    const path = url.pathname;
+    const pattern = rule.pattern || '';
+
+    switch (rule.matchType) {
+        case 'glob':
+            if (!globToRegExp(pattern).test(path)) return false;
+            break;
+        case 'regex':
+            try {
+                if (!new RegExp(pattern).test(path + url.search)) return false;
+            } catch {
+                return false;  // Invalid patterns never match
+            }
+            break;
+        case 'prefix':
+        default:
+            if (!path.toLowerCase().startsWith(pattern.toLowerCase())) return false;
+    }
+
+    for (const condition of rule.query || []) {
+        const value = url.searchParams.get(condition.param);
+        if (value === null) return false;
+        if (condition.value != null && condition.value !== '' && value !== condition.value) return false;
+    }
+
+    return true;
+}
+
+// =====================
+// Keyword Rules
+// =====================
+
+/**
+ * Keyword rule schema (stored as an array under STORAGE_KEYS.KEYWORD_RULES):
+ * {
+ *   id: string,
+ *   domain?: string,                 // Limit to a hostname; without one the rule only applies to tracked pages
+ *   fields: ('title' | 'ogTitle' | 'ogType')[],  // Page metadata to search (default: title and og:title)
+ *   matchType: 'keywords' | 'regex',
+ *   pattern: string,                 // keywords: comma-separated, case-insensitive substrings; regex: case-insensitive
+ *   action: 'category' | 'exempt' | 'block',
+ *   category?: string,               // Target category key for action 'category'
+ *   priority: number,                // Higher is evaluated first
+ *   enabled: boolean
+ * }
+ */
+
+const DEFAULT_KEYWORD_FIELDS = ['title', 'ogTitle'];
+
+export async function getKeywordRules() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.KEYWORD_RULES);
+    return data[STORAGE_KEYS.KEYWORD_RULES] || [];
+}
+
+/**
+ * Add a keyword rule from the options page (an exempt rule is queued in commitment mode)
+ * @returns {Promise<{ rules: Object[], queued: Object[] }>}
+ */
+export async function addKeywordRule(rule) {
+    return addRule(STORAGE_KEYS.KEYWORD_RULES, 'addKeywordRule', rule);
+}
+
+/**
+ * Remove a keyword rule from the options page (removing a block or category rule is queued in
+ * commitment mode)
+ * @returns {Promise<{ rules: Object[], queued: Object[] }>}
+ */
+export async function removeKeywordRule(ruleId) {
+    return removeRule(STORAGE_KEYS.KEYWORD_RULES, 'removeKeywordRule', ruleId);
+}
+
+/**
+ * Test a keyword rule against a page
+ * @param {Object} rule - See the keyword rule schema above
+ * @param {string} hostname - Page hostname without www.
+ * @param {{ title?: string, ogTitle?: string, ogType?: string }} page
+ * @returns {boolean}
+ *
+ * Examples:
+ *   { matchType: 'keywords', pattern: 'trailer, reaction' }        matches "Movie Trailer #2 - YouTube"
+ *   { fields: ['ogType'], matchType: 'keywords', pattern: 'video' } matches og:type "video.episode"
+ *   { domain: 'bbc.co.uk', matchType: 'regex', pattern: '^(sport|football)\\b' }
+ */
+export function matchKeywordRule(rule, hostname, page) {
+    if (rule.domain && !matchDomain(hostname, rule.domain)) return false;
+
+    const fields = rule.fields?.length ? rule.fields : DEFAULT_KEYWORD_FIELDS;
+    const texts = fields.map(field => page[field]).filter(Boolean);
+    if (texts.length === 0) return false;
+
+    if (rule.matchType === 'regex') {
+        let regex;
+        try {
+            regex = new RegExp(rule.pattern || '', 'i');
+        } catch {
+            return false;  // Invalid patterns never match
+        }
+        return texts.some(text => regex.test(text));
+    }
+
+    const keywords = String(rule.pattern || '').split(',')
+        .map(k => k.trim().toLowerCase())
+        .filter(k => k.length > 0);
+    return keywords.some(keyword => texts.some(text => text.toLowerCase().includes(keyword)));
+}
+
+/**
+ * Apply keyword rules (in priority order) on top of the URL/domain category
+ * @param {Object|null} category - Category from URL rules / domains, null if the page isn't tracked
+ * @returns {Object|null} Reassigned category, null when exempt, or the category flagged keywordBlocked
+ */
+export function applyKeywordRules(category, hostname, page, rules, categories) {
+    for (const rule of sortUrlRules(rules)) {
+        // Rules without a domain would otherwise pull every page of every injected site in
+        if (!rule.domain && !category) continue;
+        if (!matchKeywordRule(rule, hostname, page)) continue;
+
+        if (rule.action === 'exempt') return null;
+
+        if (rule.action === 'block') {
+            return { ...(category || { key: null }), keywordBlocked: true, matchedKeywordRule: rule.id };
+        }
+
+        if (categories[rule.category]) {
+            return { key: rule.category, ...categories[rule.category], matchedKeywordRule: rule.id };
+        }
+    }
+
+    return category;
+}
+
+// =====================
+// Channel Rules
+// =====================
+
+/**
+ * Channel rules live on the category (category.channelRules):
+ * {
+ *   allow: string[],                 // Channels/creators exempted or routed elsewhere
+ *   block: string[],                 // Channels/creators that are always blocked
+ *   allowAction: 'exempt' | 'category',
+ *   allowCategory?: string           // Target category key for allowAction 'category'
+ * }
+ * Entries match a channel's id or display name, case-insensitively, with or without a
+ * leading "@"; a pasted channel URL matches by its last path segment.
+ */
+
+/**
+ * @param {{ id: string, name?: string }} channel
+ * @param {string} entry - One allow/block list entry
+ */
+export function matchChannel(channel, entry) {
+    const normalize = (value) => String(value || '').trim().toLowerCase().replace(/^@/, '');
+    let wanted = String(entry || '').trim().replace(/\/+$/, '');
+    if (wanted.includes('/')) {
+        wanted = wanted.split('/').pop();
+    }
+    wanted = normalize(wanted);
+    if (!wanted) return false;
+
+    const id = normalize(channel.id);
+    return id === wanted || id.split('/').pop() === wanted || normalize(channel.name) === wanted;
+}
+
+/**
+ * Apply a category's channel allow/block lists to a resolved category
+ * @returns {Object|null} The category (flagged channelBlocked), a routed category, or null when exempt
+ */
+export function applyChannelRules(category, channel, categories) {
+    const rules = category.channelRules;
+    if (!rules) return category;
+
+    if ((rules.block || []).some(entry => matchChannel(channel, entry))) {
+        return { ...category, channelBlocked: true, channel };
+    }
+
+    if ((rules.allow || []).some(entry => matchChannel(channel, entry))) {
+        if (rules.allowAction === 'category' && categories[rules.allowCategory] && rules.allowCategory !== category.key) {
+            return { key: rules.allowCategory, ...categories[rules.allowCategory], routedFrom: category.key };
+        }
+        return null;  // Exempt: not tracked
+    }
+
+    return category;
+}
+
+// =====================
+// Domain-Level Time Tracking
 // =====================
 
 /**
  * Add time to a specific domain within a category (batched)
  * This enables per-site statistics while maintaining category totals
+ * @param {{ id: string, name?: string }} [channel] - Channel/creator on the page, recorded in byChannel
  */
-export async function addDomainTime(categoryKey, domain, seconds) {
+export async function addDomainTime(categoryKey, domain, seconds, channel = null) {
     const key = `${categoryKey}:${domain}`;
 
     // Add to pending updates (will be flushed periodically)
     const currentPending = storageCache.pendingDomainUpdates.get(key) || 0;
     storageCache.pendingDomainUpdates.set(key, currentPending + seconds);
 
+    // Channel/creator attribution below the domain
+    if (channel?.id) {
+        const channelKey = JSON.stringify([categoryKey, domain, channel.id]);
+        const pending = storageCache.pendingChannelUpdates.get(channelKey);
+        storageCache.pendingChannelUpdates.set(channelKey, {
+            seconds: (pending?.seconds || 0) + seconds,
+            name: channel.name || pending?.name || null
+        });
+    }
+
     // Get current usage including pending time
     const todayKey = getTodayKey();
     const usage = await getCachedUsage();
@@ -818,6 +1780,34 @@ export async function getDomainUsage(domain) {
     return { totalTime, categoryKey };
 }
 
+/**
+ * Get time usage for a channel today on a domain and its subdomains (matchDomain), across
+ * categories (includes pending time)
+ * @param {string} domain - Domain of the channel limit, e.g. 'youtube.com' also counts m.youtube.com
+ * @param {{ id: string }} channel
+ */
+export async function getChannelUsage(domain, channel) {
+    const todayUsage = await getTodayUsage();
+    let totalTime = 0;
+
+    for (const categoryUsage of Object.values(todayUsage)) {
+        for (const [usageDomain, channels] of Object.entries(categoryUsage.byChannel || {})) {
+            if (matchDomain(usageDomain, domain)) {
+                totalTime += channels[channel.id]?.time || 0;
+            }
+        }
+    }
+
+    for (const [pendingKey, pending] of storageCache.pendingChannelUpdates.entries()) {
+        const [, dom, channelId] = JSON.parse(pendingKey);
+        if (channelId === channel.id && matchDomain(dom, domain)) {
+            totalTime += pending.seconds;
+        }
+    }
+
+    return { totalTime };
+}
+
 /**
  * Get all domain usage for a date range
  */
@@ -865,6 +1855,16 @@ export async function getDomainLimits() {
  */
 export async function setDomainLimit(domain, dailyLimit) {
     const limits = await getDomainLimits();
+    const commitment = await getCommitmentSettings();
+
+    // Raising or removing a limit waits out the commitment delay
+    if (commitment.enabled && isLooserLimit(limits[domain]?.dailyLimit, dailyLimit)) {
+        await queuePendingChanges([{ kind: 'domainLimit', domain, value: dailyLimit ?? null }], commitment.delay);
+        return limits;
+    }
+    if (commitment.enabled) {
+        await dropPendingChanges(change => change.kind === 'domainLimit' && change.domain === domain);
+    }
 
     if (dailyLimit === null || dailyLimit === undefined) {
         delete limits[domain];
@@ -903,29 +1903,1025 @@ export async function checkDomainLimit(domain) {
     };
 }
 
+// =====================
+// Channel-Level Limits
+// =====================
+
+/**
+ * Get all channel-specific limits: { [domain]: { [channelEntry]: { dailyLimit } } }
+ * Channel entries use the same matching as channel rules (see matchChannel()).
+ */
+export async function getChannelLimits() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.CHANNEL_LIMITS);
+    return data[STORAGE_KEYS.CHANNEL_LIMITS] || {};
+}
+
+/**
+ * Set limit for a channel on a domain
+ * @param {string} domain
+ * @param {string} channel - Channel entry (handle, id, name or channel URL)
+ * @param {number|null} dailyLimit - Daily limit in seconds, or null to remove
+ */
+export async function setChannelLimit(domain, channel, dailyLimit) {
+    const limits = await getChannelLimits();
+    const commitment = await getCommitmentSettings();
+
+    // Raising or removing a limit waits out the commitment delay
+    if (commitment.enabled && isLooserLimit(limits[domain]?.[channel]?.dailyLimit, dailyLimit)) {
+        await queuePendingChanges([{ kind: 'channelLimit', domain, channel, value: dailyLimit ?? null }], commitment.delay);
+        return limits;
+    }
+    if (commitment.enabled) {
+        await dropPendingChanges(change => change.kind === 'channelLimit' &&
+            change.domain === domain && change.channel === channel);
+    }
+
+    if (dailyLimit === null || dailyLimit === undefined) {
+        if (limits[domain]) {
+            delete limits[domain][channel];
+            if (Object.keys(limits[domain]).length === 0) {
+                delete limits[domain];
+            }
+        }
+    } else {
+        limits[domain] = { ...limits[domain], [channel]: { dailyLimit } };
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.CHANNEL_LIMITS]: limits });
+    return limits;
+}
+
+/**
+ * Whether setting a channel's limit to dailyLimit (null removes it) loosens it
+ */
+export async function isLooseningChannelLimit(domain, channel, dailyLimit) {
+    const limits = await getChannelLimits();
+    return isLooserLimit(limits[domain]?.[channel]?.dailyLimit, dailyLimit);
+}
+
+/**
+ * Get the limit matching a channel on a domain (subdomains use their parent's limits)
+ * @returns {{ domain: string, entry: string, dailyLimit: number } | null} domain: the limit's domain
+ */
+export async function getChannelLimit(domain, channel) {
+    const limits = await getChannelLimits();
+
+    for (const [limitDomain, channelLimits] of Object.entries(limits)) {
+        if (!matchDomain(domain, limitDomain)) continue;
+        for (const [entry, config] of Object.entries(channelLimits)) {
+            if (matchChannel(channel, entry)) {
+                return { domain: limitDomain, entry, dailyLimit: config.dailyLimit };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Check if a channel has reached its individual limit
+ * @returns {{ allowed: boolean, remaining: number, limit: number, used: number } | null}
+ */
+export async function checkChannelLimit(domain, channel) {
+    if (!domain || !channel?.id) return null;
+
+    const limit = await getChannelLimit(domain, channel);
+    if (!limit) return null;  // No individual limit set
+
+    // Time on every subdomain counts toward the limit, not just this page's hostname
+    const usage = await getChannelUsage(limit.domain, channel);
+    const remaining = Math.max(0, limit.dailyLimit - usage.totalTime);
+
+    return {
+        allowed: usage.totalTime < limit.dailyLimit,
+        remaining,
+        limit: limit.dailyLimit,
+        used: usage.totalTime
+    };
+}
+
+// =====================
+// Time Bank
+// =====================
+
+/**
+ * Time spent on categories with an earnRatio earns banked seconds, which can be spent to
+ * extend the dailyLimit of categories with bankSpendable. Stored as:
+ * {
+ *   balance: number,                 // Banked seconds available
+ *   ledger: {
+ *     [dateKey]: {
+ *       earned: { [categoryKey]: seconds },  // Credited from each productive category
+ *       spent: { [categoryKey]: seconds }    // Added to each category's dailyLimit that day
+ *     }
+ *   }
+ * }
+ * Caps (settings.timeBank): maxBalance stops earning, dailySpendCap limits spending across categories.
+ */
+
+/**
+ * Time bank settings with defaults for keys missing from older settings
+ */
+export async function getTimeBankSettings() {
+    const settings = await getSettings();
+    return { ...DEFAULT_SETTINGS.timeBank, ...settings.timeBank };
+}
+
+async function getTimeBankData() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.TIME_BANK);
+    const bank = data[STORAGE_KEYS.TIME_BANK] || {};
+    return { balance: bank.balance || 0, ledger: bank.ledger || {} };
+}
+
+function getLedgerDay(bank, dateKey) {
+    return bank.ledger[dateKey] || (bank.ledger[dateKey] = { earned: {}, spent: {} });
+}
+
+/**
+ * Credit banked time earned on a productive category (batched like category time)
+ */
+export function addBankEarnings(categoryKey, seconds) {
+    if (!(seconds > 0)) return;
+    storageCache.pendingBankEarnings.set(categoryKey, (storageCache.pendingBankEarnings.get(categoryKey) || 0) + seconds);
+}
+
+/**
+ * Move pending earnings into the balance, up to maxBalance. The ledger records what was credited.
+ */
+async function flushPendingBankEarnings() {
+    if (storageCache.pendingBankEarnings.size === 0) return;
+
+    const bank = await getTimeBankData();
+    const { maxBalance } = await getTimeBankSettings();
+    const day = getLedgerDay(bank, getTodayKey());
+
+    for (const [categoryKey, seconds] of storageCache.pendingBankEarnings.entries()) {
+        const credited = Math.max(0, Math.min(seconds, maxBalance - bank.balance));
+        if (credited === 0) continue;
+        bank.balance += credited;
+        day.earned[categoryKey] = (day.earned[categoryKey] || 0) + credited;
+    }
+    storageCache.pendingBankEarnings.clear();
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.TIME_BANK]: bank });
+}
+
+/**
+ * Current balance and what can still be spent today
+ * @returns {Promise<Object>} { balance, earnedToday, spentToday, spentTodayByCategory, spendableToday, ...settings.timeBank }
+ */
+export async function getTimeBank() {
+    const bank = await getTimeBankData();
+    const bankSettings = await getTimeBankSettings();
+    const today = bank.ledger[getTodayKey()] || { earned: {}, spent: {} };
+
+    let pending = 0;
+    for (const seconds of storageCache.pendingBankEarnings.values()) pending += seconds;
+    const balance = Math.max(bank.balance, Math.min(bankSettings.maxBalance, bank.balance + pending));
+
+    const sum = values => Object.values(values).reduce((total, seconds) => total + seconds, 0);
+    const spentToday = sum(today.spent);
+
+    return {
+        ...bankSettings,
+        balance,
+        earnedToday: sum(today.earned) + pending,
+        spentToday,
+        spentTodayByCategory: today.spent,
+        spendableToday: Math.max(0, Math.min(balance, bankSettings.dailySpendCap - spentToday))
+    };
+}
+
+/**
+ * Banked time spent on a category today (added to its dailyLimit)
+ */
+export async function getBankedTimeForCategory(categoryKey) {
+    const bank = await getTimeBankData();
+    return bank.ledger[getTodayKey()]?.spent[categoryKey] || 0;
+}
+
+/**
+ * Spend banked time to extend a category's dailyLimit for today
+ * @returns {Promise<{ success: boolean, spent?: number, balance?: number, reason?: string }>}
+ *   reason: 'invalid_amount' | 'not_spendable' | 'no_daily_limit' | 'empty_balance' | 'daily_cap_reached'
+ */
+export async function spendBankedTime(categoryKey, seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+        return { success: false, reason: 'invalid_amount' };
+    }
+
+    const categories = await getCategories();
+    if (!categories[categoryKey]?.bankSpendable) {
+        return { success: false, reason: 'not_spendable' };
+    }
+    // Banked time extends today's daily limit, so there has to be one
+    if (!getCategoryForDay(categories[categoryKey]).dailyLimit) {
+        return { success: false, reason: 'no_daily_limit' };
+    }
+
+    // Credit anything earned so far before checking the balance
+    await flushPendingBankEarnings();
+
+    const bank = await getTimeBankData();
+    const { dailySpendCap } = await getTimeBankSettings();
+    const day = getLedgerDay(bank, getTodayKey());
+    const spentToday = Object.values(day.spent).reduce((total, s) => total + s, 0);
+
+    if (bank.balance <= 0) {
+        return { success: false, reason: 'empty_balance', balance: 0 };
+    }
+    const spent = Math.min(seconds, bank.balance, dailySpendCap - spentToday);
+    if (spent <= 0) {
+        return { success: false, reason: 'daily_cap_reached', balance: bank.balance };
+    }
+
+    bank.balance -= spent;
+    day.spent[categoryKey] = (day.spent[categoryKey] || 0) + spent;
+    await chrome.storage.local.set({ [STORAGE_KEYS.TIME_BANK]: bank });
+
+    return { success: true, spent, balance: bank.balance };
+}
+
+// =====================
+// Limit Extensions
+// =====================
+
+/**
+ * Every extension granted from the overlay is logged (and the log is what enforces the daily cap):
+ * {
+ *   timestamp: number,
+ *   dateKey: string,
+ *   categoryKey: string,
+ *   kind: 'daily' | 'session',  // Added to today's dailyLimit, or continued the ended session
+ *   limitReason: string,        // Overlay reason that was extended, e.g. 'daily_limit_reached'
+ *   friction: string,           // settings.extensions.friction at the time
+ *   duration: number,           // Seconds granted
+ *   reason: string              // The user's own explanation
+ * }
+ */
+
+/**
+ * Extension settings with defaults for keys missing from older settings
+ */
+export async function getExtensionSettings() {
+    const settings = await getSettings();
+    return { ...DEFAULT_SETTINGS.extensions, ...settings.extensions };
+}
+
+/**
+ * Get the extension log, oldest first
+ */
+export async function getExtensionLog() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.EXTENSION_LOG);
+    return data[STORAGE_KEYS.EXTENSION_LOG] || [];
+}
+
+/**
+ * Extensions granted today, across categories
+ */
+export async function getTodayExtensions() {
+    const todayKey = getTodayKey();
+    return (await getExtensionLog()).filter(entry => entry.dateKey === todayKey);
+}
+
+/**
+ * Record a granted extension
+ */
+export async function addExtensionLogEntry(entry) {
+    const log = await getExtensionLog();
+    const logged = { timestamp: Date.now(), dateKey: getTodayKey(), ...entry };
+    log.push(logged);
+    await chrome.storage.local.set({ [STORAGE_KEYS.EXTENSION_LOG]: log });
+    return logged;
+}
+
+/**
+ * Daily-limit extensions granted to a category today (added to its dailyLimit)
+ */
+export async function getExtensionTimeForCategory(categoryKey) {
+    return (await getTodayExtensions())
+        .filter(entry => entry.categoryKey === categoryKey && entry.kind === 'daily')
+        .reduce((total, entry) => total + entry.duration, 0);
+}
+
+// =====================
+// Settings Lock
+// =====================
+
+/**
+ * Optional PIN/passphrase guarding the options page's loosening actions:
+ * {
+ *   hash: string | null,     // PBKDF2-SHA-256 of the PIN, hex (no PIN = no lock)
+ *   salt: string,            // Random per PIN, hex
+ *   iterations: number,
+ *   failedAttempts: number,  // Wrong PINs since the last success or lockout
+ *   lockedUntil: number,     // Timestamp until which no PIN is accepted
+ *   unlockedUntil: number    // Timestamp until which guarded actions are allowed
+ * }
+ * The options page asks for the PIN; the background rejects loosening messages while locked
+ * (checkSettingsLock), so skipping the page's prompt doesn't get around it.
+ */
+
+const PIN_HASH_ITERATIONS = 100000;
+const MIN_PIN_LENGTH = 4;
+
+async function hashPin(pin, salt, iterations) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+        key,
+        256
+    );
+    return [...new Uint8Array(bits)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function getSettingsLock() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS_LOCK);
+    return data[STORAGE_KEYS.SETTINGS_LOCK] || {};
+}
+
+async function updateSettingsLock(updates) {
+    const lock = { ...(await getSettingsLock()), ...updates };
+    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS_LOCK]: lock });
+    return lock;
+}
+
+/**
+ * Lock settings with defaults for keys missing from older settings
+ */
+export async function getLockSettings() {
+    const settings = await getSettings();
+    return { ...DEFAULT_SETTINGS.lock, ...settings.lock };
+}
+
+/**
+ * Whether a PIN is set and guarded actions are currently allowed
+ */
+export async function getLockStatus() {
+    const lock = await getSettingsLock();
+    const lockSettings = await getLockSettings();
+    const now = Date.now();
+    const enabled = !!lock.hash;
+
+    return {
+        enabled,
+        unlocked: !enabled || (lock.unlockedUntil || 0) > now,
+        unlockedUntil: enabled ? lock.unlockedUntil || null : null,
+        lockedUntil: (lock.lockedUntil || 0) > now ? lock.lockedUntil : null,
+        remainingAttempts: Math.max(0, lockSettings.maxAttempts - (lock.failedAttempts || 0)),
+        unlockTimeout: lockSettings.unlockTimeout
+    };
+}
+
+/**
+ * Refuse a loosening change while a PIN is set and no unlock session is running
+ * @returns {Promise<{ success: false, reason: 'locked' } | null>} null when the change may go ahead
+ */
+export async function checkSettingsLock(loosening) {
+    if (!loosening) return null;
+    const status = await getLockStatus();
+    return status.unlocked ? null : { success: false, reason: 'locked' };
+}
+
+/**
+ * Check a PIN and start an unlock session (settings.lock.unlockTimeout) when it matches.
+ * Too many wrong PINs in a row lock out further attempts for settings.lock.lockoutDuration.
+ * @returns {Promise<{ success: boolean, reason?: string, lockedUntil?: number, remainingAttempts?: number }>}
+ *   reason: 'not_enabled' | 'locked_out' | 'wrong_pin'
+ */
+export async function unlockSettings(pin) {
+    const lock = await getSettingsLock();
+    const lockSettings = await getLockSettings();
+    const now = Date.now();
+
+    if (!lock.hash) {
+        return { success: false, reason: 'not_enabled' };
+    }
+    if ((lock.lockedUntil || 0) > now) {
+        return { success: false, reason: 'locked_out', lockedUntil: lock.lockedUntil };
+    }
+
+    if (await hashPin(String(pin ?? ''), lock.salt, lock.iterations) === lock.hash) {
+        const unlockedUntil = now + lockSettings.unlockTimeout * 1000;
+        await updateSettingsLock({ failedAttempts: 0, lockedUntil: null, unlockedUntil });
+        return { success: true, unlockedUntil };
+    }
+
+    const failedAttempts = (lock.failedAttempts || 0) + 1;
+    if (failedAttempts >= lockSettings.maxAttempts) {
+        const lockedUntil = now + lockSettings.lockoutDuration * 1000;
+        await updateSettingsLock({ failedAttempts: 0, lockedUntil, unlockedUntil: null });
+        console.warn('[SettingsLock] Too many wrong PINs, locked out until', new Date(lockedUntil).toLocaleTimeString());
+        return { success: false, reason: 'locked_out', lockedUntil };
+    }
+
+    await updateSettingsLock({ failedAttempts });
+    return { success: false, reason: 'wrong_pin', remainingAttempts: lockSettings.maxAttempts - failedAttempts };
+}
+
+/**
+ * End the unlock session early
+ */
+export async function lockSettings() {
+    await updateSettingsLock({ unlockedUntil: null });
+}
+
+/**
+ * Set or change the PIN (pin = null removes the lock). Only allowed while unlocked.
+ * @returns {Promise<{ success: boolean, reason?: string }>}
+ *   reason: 'locked' | 'too_short'
+ */
+export async function setLockPin(pin) {
+    if (!(await getLockStatus()).unlocked) {
+        return { success: false, reason: 'locked' };
+    }
+
+    if (pin === null) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS_LOCK]: {} });
+        console.log('[SettingsLock] PIN removed');
+        return { success: true };
+    }
+
+    if (String(pin).length < MIN_PIN_LENGTH) {
+        return { success: false, reason: 'too_short' };
+    }
+
+    const salt = [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('');
+    const lockSettings = await getLockSettings();
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.SETTINGS_LOCK]: {
+            hash: await hashPin(String(pin), salt, PIN_HASH_ITERATIONS),
+            salt,
+            iterations: PIN_HASH_ITERATIONS,
+            failedAttempts: 0,
+            lockedUntil: null,
+            // Setting the PIN doesn't lock the person who just set it out
+            unlockedUntil: Date.now() + lockSettings.unlockTimeout * 1000
+        }
+    });
+    console.log('[SettingsLock] PIN set');
+    return { success: true };
+}
+
+// =====================
+// Commitment Mode
+// =====================
+
+/**
+ * With settings.commitment.enabled, a change that loosens a limit is queued in the pendingChanges
+ * key and applied by the background only after settings.commitment.delay; tightening applies at once.
+ * A category edit is split per field, so its stricter parts still take effect immediately.
+ * {
+ *   id: string,
+ *   kind: 'categoryField' | 'removeForbiddenPeriod' | 'addForbiddenPeriod' | 'removeCategoryDomain' | 'deleteCategory' |
+ *         'domainLimit' | 'channelLimit' | 'settingsField' | 'addUrlRule' | 'addKeywordRule' | 'commitment',
+ *   categoryKey?: string,  // Category kinds
+ *   section?: string,      // settingsField: 'globalLimits' | 'timeBank' | 'extensions'
+ *   field?: string,        // categoryField / settingsField: the field to set
+ *   domain?: string,       // domainLimit, channelLimit
+ *   channel?: string,      // channelLimit
+ *   value?: any,           // categoryField / settingsField: new value; add/removeForbiddenPeriod: the period;
+ *                          // removeCategoryDomain: the domain; domainLimit / channelLimit: new dailyLimit (null = remove);
+ *                          // addUrlRule / addKeywordRule: the rule; commitment: new settings.commitment
+ *   createdAt: number,
+ *   applyAt: number
+ * }
+ */
+
+// Category fields by the direction that loosens them. Limits left empty mean "no limit";
+// the others treat empty as 0.
+const LOOSER_WHEN_HIGHER_LIMIT = ['dailyLimit', 'sessionDuration', 'sessionCount', 'weeklyLimit', 'dailyPostLimit'];
+const LOOSER_WHEN_HIGHER = ['carryOverMax', 'earnRatio'];
+const LOOSER_WHEN_LOWER = ['restDuration'];
+
+// Category fields splitCategoryChange() judges individually, and those that never loosen anything.
+// A change to any other field is deferred, so a field without a rule can't skip the delay.
+const RULED_CATEGORY_FIELDS = ['enabled', 'bankSpendable', 'parent', 'rollingLimit', 'restEscalation', 'weekdayLimits',
+    'forbiddenPeriods', 'domains', 'type', 'idleTimeout', 'timeAccounting', 'composingWeight', 'countWhenUnfocused',
+    'adsCountTowardLimits', 'videoFilters', 'channelRules'];
+const NEUTRAL_CATEGORY_FIELDS = ['name'];
+
+// What the detectors in content.js assume when a category doesn't set it
+const DEFAULT_IDLE_TIMEOUT = 30;
+
+// Settings sections saved from the options page (saveSettingsSection), by the same directions
+const SETTINGS_LOOSENING = {
+    globalLimits: { higherLimit: ['dailyLimit', 'sessionDuration'], higher: [], lower: ['restDuration'] },
+    timeBank: { higherLimit: [], higher: ['maxBalance', 'dailySpendCap', 'spendStep'], lower: [] },
+    extensions: { higherLimit: [], higher: ['enabled', 'maxPerDay', 'duration'], lower: ['waitSeconds'] }
+};
+
+/**
+ * Commitment settings with defaults for keys missing from older settings
+ */
+export async function getCommitmentSettings() {
+    const settings = await getSettings();
+    return { ...DEFAULT_SETTINGS.commitment, ...settings.commitment };
+}
+
+/**
+ * Get queued changes, soonest first
+ */
+export async function getPendingChanges() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.PENDING_CHANGES);
+    return (data[STORAGE_KEYS.PENDING_CHANGES] || []).sort((a, b) => a.applyAt - b.applyAt);
+}
+
+async function queuePendingChanges(changes, delay) {
+    if (changes.length === 0) return [];
+
+    const now = Date.now();
+    const queued = changes.map((change, i) => ({
+        id: `${now.toString(36)}-${i}-${Math.random().toString(36).slice(2, 8)}`,
+        ...change,
+        createdAt: now,
+        applyAt: now + delay * 1000
+    }));
+
+    const pending = await getPendingChanges();
+    await chrome.storage.local.set({ [STORAGE_KEYS.PENDING_CHANGES]: [...pending, ...queued] });
+    console.log(`[Commitment] Queued ${queued.length} loosening change(s) until ${new Date(queued[0].applyAt).toLocaleString()}`);
+    return queued;
+}
+
+async function dropPendingChanges(predicate) {
+    const pending = await getPendingChanges();
+    const kept = pending.filter(change => !predicate(change));
+    if (kept.length !== pending.length) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.PENDING_CHANGES]: kept });
+    }
+}
+
+/**
+ * Cancel a queued change (always allowed: it keeps the stricter setting)
+ */
+export async function cancelPendingChange(id) {
+    await dropPendingChanges(change => change.id === id);
+    return getPendingChanges();
+}
+
+function isLooserLimit(before, after) {
+    const asLimit = value => value ? value : Infinity;
+    return asLimit(after) > asLimit(before);
+}
+
+/**
+ * Whether setting a domain's limit to dailyLimit (null removes it) loosens it
+ */
+export async function isLooseningDomainLimit(domain, dailyLimit) {
+    const limits = await getDomainLimits();
+    return isLooserLimit(limits[domain]?.dailyLimit, dailyLimit);
+}
+
+/**
+ * Fields of a settings section that values would loosen
+ */
+function getLooseningSettingsFields(section, current, values) {
+    const directions = SETTINGS_LOOSENING[section];
+    return Object.keys(values).filter(field =>
+        (directions.higherLimit.includes(field) && isLooserLimit(current[field], values[field])) ||
+        (directions.higher.includes(field) && (values[field] || 0) > (current[field] || 0)) ||
+        (directions.lower.includes(field) && (values[field] || 0) < (current[field] || 0)));
+}
+
+/**
+ * Whether saving values into a settings section loosens it
+ */
+export async function isLooseningSettingsSection(section, values) {
+    if (!SETTINGS_LOOSENING[section]) return false;
+    const settings = await getSettings();
+    const current = { ...DEFAULT_SETTINGS[section], ...settings[section] };
+    return getLooseningSettingsFields(section, current, values).length > 0;
+}
+
+/**
+ * Whether adding a URL or keyword rule loosens tracking (exempt rules stop time counting)
+ */
+export function isLooseningRule(rule) {
+    return rule?.action === 'exempt';
+}
+
+/**
+ * Whether removing a URL or keyword rule loosens tracking (block rules and rules that route
+ * pages into a category stop applying; removing an exempt rule only tightens)
+ */
+export function isLooseningRuleRemoval(rule) {
+    return !!rule && rule.action !== 'exempt';
+}
+
+/**
+ * Whether saving config over an existing category loosens any of it (adding a new one never does)
+ */
+export async function isLooseningCategorySave(categoryKey, config) {
+    const categories = await getCategories();
+    const before = categories[categoryKey];
+    return !!before && splitCategoryChange(before, config).deferred.length > 0;
+}
+
+/**
+ * Split a category edit into the config to save now and the loosening changes to queue.
+ * Loosened fields keep their old value in `immediate`; removed blocks and domains stay, and new
+ * exception periods (which lift blocks) wait.
+ * @returns {{ immediate: Object, deferred: Object[] }}
+ */
+export function splitCategoryChange(before, after) {
+    const immediate = { ...after };
+    const deferred = [];
+    const defer = (field) => {
+        immediate[field] = before[field] ?? null;
+        deferred.push({ kind: 'categoryField', field, value: after[field] ?? null });
+    };
+
+    for (const field of LOOSER_WHEN_HIGHER_LIMIT) {
+        if (isLooserLimit(before[field], after[field])) defer(field);
+    }
+    for (const field of LOOSER_WHEN_HIGHER) {
+        if ((after[field] || 0) > (before[field] || 0)) defer(field);
+    }
+    for (const field of LOOSER_WHEN_LOWER) {
+        if ((after[field] || 0) < (before[field] || 0)) defer(field);
+    }
+    if (before.enabled !== false && after.enabled === false) defer('enabled');
+    if (!before.bankSpendable && after.bankSpendable) defer('bankSpendable');
+
+    // Leaving a group escapes its limits
+    if (before.parent && after.parent !== before.parent) defer('parent');
+
+    const beforeRolling = before.rollingLimit;
+    const afterRolling = after.rollingLimit;
+    if (beforeRolling && (!afterRolling || afterRolling.limit > beforeRolling.limit || afterRolling.window < beforeRolling.window)) {
+        defer('rollingLimit');
+    }
+
+    // Rest escalation: shorter rests for any of the day's sessions, or a smaller evening gap
+    if (JSON.stringify(before.restEscalation || null) !== JSON.stringify(after.restEscalation || null)) {
+        const withBase = category => ({ restDuration: before.restDuration, restEscalation: category.restEscalation });
+        const shorter = Array.from({ length: 12 }, (_, i) => i + 1).some(n =>
+            getRestDuration(withBase(after), n).duration < getRestDuration(withBase(before), n).duration);
+        const gapLoosened = (after.restEscalation?.eveningGap || 0) < (before.restEscalation?.eveningGap || 0) ||
+            (!!before.restEscalation?.eveningGap && after.restEscalation?.eveningStart !== before.restEscalation.eveningStart);
+        if (shorter || gapLoosened) defer('restEscalation');
+    }
+
+    // Weekday overrides, judged against the same base so a base change isn't counted twice
+    if (JSON.stringify(before.weekdayLimits || {}) !== JSON.stringify(after.weekdayLimits || {})) {
+        const effective = (category, day, field) => category.weekdayLimits?.[day]?.[field] ?? before[field];
+        const loosened = [0, 1, 2, 3, 4, 5, 6].some(day => SCHEDULED_LIMIT_FIELDS.some(field =>
+            isLooserLimit(effective(before, day, field), effective(after, day, field))));
+        if (loosened) defer('weekdayLimits');
+    }
+
+    const beforePeriods = new Set((before.forbiddenPeriods || []).map(p => JSON.stringify(p)));
+    const afterPeriods = new Set((after.forbiddenPeriods || []).map(p => JSON.stringify(p)));
+    const isException = period => period.kind === 'exception';
+    const removedBlocks = (before.forbiddenPeriods || []).filter(p => !isException(p) && !afterPeriods.has(JSON.stringify(p)));
+    const addedExceptions = (after.forbiddenPeriods || []).filter(p => isException(p) && !beforePeriods.has(JSON.stringify(p)));
+    if (removedBlocks.length > 0 || addedExceptions.length > 0) {
+        immediate.forbiddenPeriods = [
+            ...(after.forbiddenPeriods || []).filter(p => !addedExceptions.includes(p)),
+            ...removedBlocks
+        ];
+        deferred.push(...removedBlocks.map(period => ({ kind: 'removeForbiddenPeriod', value: period })));
+        deferred.push(...addedExceptions.map(period => ({ kind: 'addForbiddenPeriod', value: period })));
+    }
+
+    const removedDomains = (before.domains || []).filter(d => !(after.domains || []).includes(d));
+    if (removedDomains.length > 0) {
+        immediate.domains = [...(after.domains || []), ...removedDomains];
+        deferred.push(...removedDomains.map(domain => ({ kind: 'removeCategoryDomain', value: domain })));
+    }
+
+    // Detection: another detector (or becoming a group, which has no domains) and another idle
+    // timeout or time figure change what counts in ways that can go either way
+    if (after.type !== before.type) defer('type');
+    if ((after.idleTimeout || DEFAULT_IDLE_TIMEOUT) !== (before.idleTimeout || DEFAULT_IDLE_TIMEOUT)) defer('idleTimeout');
+    if ((after.timeAccounting || 'wallclock') !== (before.timeAccounting || 'wallclock')) defer('timeAccounting');
+
+    // Counting less of the same activity
+    const countsUnfocused = category => category.countWhenUnfocused ?? category.type === 'video';
+    if (countsUnfocused(before) && !countsUnfocused(after)) defer('countWhenUnfocused');
+    if (before.adsCountTowardLimits && !after.adsCountTowardLimits) defer('adsCountTowardLimits');
+    if ((after.composingWeight ?? 1) < (before.composingWeight ?? 1)) defer('composingWeight');
+
+    const beforeFilters = getVideoFilters(before);
+    const afterFilters = getVideoFilters(after);
+    if ((afterFilters.minWidth || 0) > (beforeFilters.minWidth || 0) ||
+        ['ignoreMuted', 'ignoreOffscreen', 'requireUserGesture'].some(filter => afterFilters[filter] && !beforeFilters[filter])) {
+        defer('videoFilters');
+    }
+
+    // Allowed channels leave this category (exempt or counted elsewhere); blocked ones are let through
+    const beforeRules = before.channelRules || {};
+    const afterRules = after.channelRules || {};
+    const removedChannelBlocks = (beforeRules.block || []).some(channel => !(afterRules.block || []).includes(channel));
+    const addedChannelAllows = (afterRules.allow || []).some(channel => !(beforeRules.allow || []).includes(channel));
+    const rerouted = (afterRules.allow || []).length > 0 && ((afterRules.allowAction || 'exempt') !== (beforeRules.allowAction || 'exempt') ||
+        (afterRules.allowCategory ?? null) !== (beforeRules.allowCategory ?? null));
+    if (removedChannelBlocks || addedChannelAllows || rerouted) defer('channelRules');
+
+    const ruled = new Set([...LOOSER_WHEN_HIGHER_LIMIT, ...LOOSER_WHEN_HIGHER, ...LOOSER_WHEN_LOWER,
+        ...RULED_CATEGORY_FIELDS, ...NEUTRAL_CATEGORY_FIELDS]);
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (!ruled.has(field) && JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) defer(field);
+    }
+
+    return { immediate, deferred };
+}
+
+/**
+ * Save a category from the options page, queueing its loosening parts in commitment mode
+ * @returns {Promise<{ category: Object, queued: Object[] }>}
+ */
+export async function saveCategory(categoryKey, config) {
+    const categories = await getCategories();
+    const before = categories[categoryKey];
+    const commitment = await getCommitmentSettings();
+
+    if (!before || !commitment.enabled) {
+        categories[categoryKey] = config;
+        await chrome.storage.local.set({ [STORAGE_KEYS.CATEGORIES]: categories });
+        return { category: config, queued: [] };
+    }
+
+    const { immediate, deferred } = splitCategoryChange(before, config);
+
+    // A field changed again now (e.g. tightened back) supersedes what was queued for it
+    const changedFields = Object.keys(immediate)
+        .filter(field => JSON.stringify(immediate[field]) !== JSON.stringify(before[field]));
+    await dropPendingChanges(change => change.kind === 'categoryField' &&
+        change.categoryKey === categoryKey && changedFields.includes(change.field));
+
+    categories[categoryKey] = immediate;
+    await chrome.storage.local.set({ [STORAGE_KEYS.CATEGORIES]: categories });
+
+    const queued = await queuePendingChanges(deferred.map(change => ({ ...change, categoryKey })), commitment.delay);
+    return { category: immediate, queued };
+}
+
+function removeCategoryFrom(categories, categoryKey) {
+    // Children of a deleted group move up to its parent
+    const parent = categories[categoryKey]?.parent || null;
+    for (const category of Object.values(categories)) {
+        if (category.parent === categoryKey) category.parent = parent;
+    }
+    delete categories[categoryKey];
+}
+
+/**
+ * Delete a category (queued in commitment mode)
+ * @returns {Promise<{ deleted: boolean, queued: Object[] }>}
+ */
+export async function deleteCategory(categoryKey) {
+    const commitment = await getCommitmentSettings();
+    if (commitment.enabled) {
+        const queued = await queuePendingChanges([{ kind: 'deleteCategory', categoryKey }], commitment.delay);
+        return { deleted: false, queued };
+    }
+
+    const categories = await getCategories();
+    removeCategoryFrom(categories, categoryKey);
+    await chrome.storage.local.set({ [STORAGE_KEYS.CATEGORIES]: categories });
+    return { deleted: true, queued: [] };
+}
+
+/**
+ * Save the global limits, time bank or extension settings from the options page, queueing the
+ * fields that loosen them in commitment mode
+ * @param {'globalLimits' | 'timeBank' | 'extensions'} section
+ * @returns {Promise<{ values: Object, queued: Object[] }>} The section as saved now
+ */
+export async function saveSettingsSection(section, values) {
+    if (!SETTINGS_LOOSENING[section]) {
+        throw new Error(`Unknown settings section: ${section}`);
+    }
+
+    const settings = await getSettings();
+    const current = { ...DEFAULT_SETTINGS[section], ...settings[section] };
+    const next = { ...current, ...values };
+    const commitment = await getCommitmentSettings();
+    const deferred = commitment.enabled ? getLooseningSettingsFields(section, current, values) : [];
+
+    if (commitment.enabled) {
+        // A field saved again now supersedes what was queued for it
+        await dropPendingChanges(change => change.kind === 'settingsField' && change.section === section &&
+            change.field in values && !deferred.includes(change.field));
+    }
+    for (const field of deferred) {
+        next[field] = current[field];
+    }
+
+    await updateSettings({ [section]: next });
+    const queued = await queuePendingChanges(
+        deferred.map(field => ({ kind: 'settingsField', section, field, value: values[field] ?? null })),
+        commitment.delay
+    );
+    return { values: next, queued };
+}
+
+async function addRule(storageKey, kind, rule) {
+    const commitment = await getCommitmentSettings();
+    const data = await chrome.storage.local.get(storageKey);
+    const rules = data[storageKey] || [];
+
+    if (commitment.enabled && isLooseningRule(rule)) {
+        const queued = await queuePendingChanges([{ kind, value: rule }], commitment.delay);
+        return { rules, queued };
+    }
+
+    rules.push(rule);
+    await chrome.storage.local.set({ [storageKey]: rules });
+    return { rules, queued: [] };
+}
+
+async function removeRule(storageKey, kind, ruleId) {
+    const commitment = await getCommitmentSettings();
+    const data = await chrome.storage.local.get(storageKey);
+    const rules = data[storageKey] || [];
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) return { rules, queued: [] };
+
+    if (commitment.enabled && isLooseningRuleRemoval(rule)) {
+        const alreadyQueued = (await getPendingChanges()).some(change => change.kind === kind && change.value.id === ruleId);
+        const queued = alreadyQueued ? [] : await queuePendingChanges([{ kind, value: rule }], commitment.delay);
+        return { rules, queued };
+    }
+
+    const kept = rules.filter(r => r.id !== ruleId);
+    await chrome.storage.local.set({ [storageKey]: kept });
+    return { rules: kept, queued: [] };
+}
+
+/**
+ * Change settings.commitment. Turning it off or shortening the delay is itself loosening,
+ * so it waits out the current delay.
+ * @returns {Promise<{ commitment: Object, queued: Object[] }>}
+ */
+export async function setCommitmentSettings(newCommitment) {
+    const current = await getCommitmentSettings();
+    const next = { ...current, ...newCommitment };
+
+    if (current.enabled && (!next.enabled || next.delay < current.delay)) {
+        const queued = await queuePendingChanges([{ kind: 'commitment', value: next }], current.delay);
+        return { commitment: current, queued };
+    }
+
+    await dropPendingChanges(change => change.kind === 'commitment');
+    await updateSettings({ commitment: next });
+    return { commitment: next, queued: [] };
+}
+
+/**
+ * Storage key each pending change kind writes to
+ */
+const PENDING_CHANGE_KEYS = {
+    categoryField: STORAGE_KEYS.CATEGORIES,
+    removeForbiddenPeriod: STORAGE_KEYS.CATEGORIES,
+    addForbiddenPeriod: STORAGE_KEYS.CATEGORIES,
+    removeCategoryDomain: STORAGE_KEYS.CATEGORIES,
+    deleteCategory: STORAGE_KEYS.CATEGORIES,
+    domainLimit: STORAGE_KEYS.DOMAIN_LIMITS,
+    channelLimit: STORAGE_KEYS.CHANNEL_LIMITS,
+    settingsField: STORAGE_KEYS.SETTINGS,
+    addUrlRule: STORAGE_KEYS.URL_RULES,
+    removeUrlRule: STORAGE_KEYS.URL_RULES,
+    addKeywordRule: STORAGE_KEYS.KEYWORD_RULES,
+    removeKeywordRule: STORAGE_KEYS.KEYWORD_RULES,
+    commitment: STORAGE_KEYS.SETTINGS
+};
+
+/**
+ * Apply queued changes whose delay has passed (called from a background alarm).
+ * The keys the due changes touch are read together with the queue and written back straight
+ * away, so category saves, queued changes and cancellations from other handlers are kept; only
+ * the due changes leave the queue.
+ * @returns {Promise<Object[]>} The applied changes
+ */
+export async function applyDuePendingChanges(now = Date.now()) {
+    const firstDue = (await getPendingChanges()).filter(change => change.applyAt <= now);
+    if (firstDue.length === 0) return [];
+
+    const dueIds = new Set(firstDue.map(change => change.id));
+    const keys = [...new Set(firstDue.map(change => PENDING_CHANGE_KEYS[change.kind]).filter(Boolean))];
+    const data = await chrome.storage.local.get([...keys, STORAGE_KEYS.PENDING_CHANGES]);
+
+    // A change cancelled since the first read is skipped
+    const pending = data[STORAGE_KEYS.PENDING_CHANGES] || [];
+    const due = pending.filter(change => dueIds.has(change.id)).sort((a, b) => a.applyAt - b.applyAt);
+    if (due.length === 0) return [];
+
+    const categories = data[STORAGE_KEYS.CATEGORIES] || structuredClone(DEFAULT_CATEGORIES);
+    const domainLimits = data[STORAGE_KEYS.DOMAIN_LIMITS] || {};
+    const channelLimits = data[STORAGE_KEYS.CHANNEL_LIMITS] || {};
+    let urlRules = data[STORAGE_KEYS.URL_RULES] || [];
+    let keywordRules = data[STORAGE_KEYS.KEYWORD_RULES] || [];
+    const settings = data[STORAGE_KEYS.SETTINGS] || { ...DEFAULT_SETTINGS };
+
+    for (const change of due) {
+        const category = categories[change.categoryKey];
+        switch (change.kind) {
+            case 'categoryField':
+                if (category) category[change.field] = change.value;
+                break;
+            case 'removeForbiddenPeriod':
+                if (category) {
+                    const period = JSON.stringify(change.value);
+                    category.forbiddenPeriods = (category.forbiddenPeriods || []).filter(p => JSON.stringify(p) !== period);
+                }
+                break;
+            case 'addForbiddenPeriod':
+                if (category) category.forbiddenPeriods = [...(category.forbiddenPeriods || []), change.value];
+                break;
+            case 'removeCategoryDomain':
+                if (category) category.domains = category.domains.filter(d => d !== change.value);
+                break;
+            case 'deleteCategory':
+                if (category) removeCategoryFrom(categories, change.categoryKey);
+                break;
+            case 'domainLimit':
+                if (change.value == null) {
+                    delete domainLimits[change.domain];
+                } else {
+                    domainLimits[change.domain] = { dailyLimit: change.value };
+                }
+                break;
+            case 'channelLimit':
+                if (change.value == null) {
+                    if (channelLimits[change.domain]) {
+                        delete channelLimits[change.domain][change.channel];
+                        if (Object.keys(channelLimits[change.domain]).length === 0) delete channelLimits[change.domain];
+                    }
+                } else {
+                    channelLimits[change.domain] = { ...channelLimits[change.domain], [change.channel]: { dailyLimit: change.value } };
+                }
+                break;
+            case 'settingsField':
+                settings[change.section] = {
+                    ...DEFAULT_SETTINGS[change.section],
+                    ...settings[change.section],
+                    [change.field]: change.value
+                };
+                break;
+            case 'addUrlRule':
+                urlRules.push(change.value);
+                break;
+            case 'addKeywordRule':
+                keywordRules.push(change.value);
+                break;
+            case 'removeUrlRule':
+                urlRules = urlRules.filter(rule => rule.id !== change.value.id);
+                break;
+            case 'removeKeywordRule':
+                keywordRules = keywordRules.filter(rule => rule.id !== change.value.id);
+                break;
+            case 'commitment':
+                settings.commitment = change.value;
+                break;
+        }
+    }
+
+    const values = {
+        [STORAGE_KEYS.CATEGORIES]: categories,
+        [STORAGE_KEYS.DOMAIN_LIMITS]: domainLimits,
+        [STORAGE_KEYS.CHANNEL_LIMITS]: channelLimits,
+        [STORAGE_KEYS.URL_RULES]: urlRules,
+        [STORAGE_KEYS.KEYWORD_RULES]: keywordRules,
+        [STORAGE_KEYS.SETTINGS]: settings
+    };
+    const updates = { [STORAGE_KEYS.PENDING_CHANGES]: pending.filter(change => !dueIds.has(change.id)) };
+    for (const key of keys) {
+        updates[key] = values[key];
+    }
+    await chrome.storage.local.set(updates);
+
+    console.log(`[Commitment] Applied ${due.length} pending change(s)`);
+    return due;
+}
+
 // =====================
 // Statistics Helpers
 // =====================
 
 /**
- * Get date range for current week (Monday to Sunday)
+ * Get date range for current week (Monday to Sunday, or Sunday to Saturday)
+ * @param {boolean} [weekStartsOnMonday] - settings.weekStartsOnMonday
  */
-export function getCurrentWeekRange() {
-    const now = new Date();
+export function getCurrentWeekRange(weekStartsOnMonday = true, now = new Date()) {
     const dayOfWeek = now.getDay(); // 0 = Sunday, 1 = Monday, ...
 
-    // Calculate days since Monday (week starts on Monday)
-    const daysSinceMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+    // Calculate days since the first day of the week
+    const daysSinceStart = weekStartsOnMonday
+        ? (dayOfWeek === 0 ? 6 : dayOfWeek - 1)
+        : dayOfWeek;
 
-    const monday = new Date(now);
-    monday.setDate(now.getDate() - daysSinceMonday);
-    monday.setHours(0, 0, 0, 0);
+    const start = new Date(now);
+    start.setDate(now.getDate() - daysSinceStart);
+    start.setHours(0, 0, 0, 0);
 
-    const sunday = new Date(monday);
-    sunday.setDate(monday.getDate() + 6);
-    sunday.setHours(23, 59, 59, 999);
+    const end = new Date(start);
+    end.setDate(start.getDate() + 6);
+    end.setHours(23, 59, 59, 999);
 
-    return { start: monday, end: sunday };
+    return { start, end };
 }
 
 /**
@@ -957,13 +2953,37 @@ export async function getUsageStats(startDate, endDate) {
         totalTime: 0,
         byCategory: {},
         byDomain: {},
-        byDate: {}
+        byDate: {},
+        metricsByCategory: {},  // categoryKey -> { wallTime, contentTime, ... }
+        byChannel: {},  // domain -> channelId -> { time, name }
+        extensions: []  // Limit extensions taken in the range, see "Limit Extensions"
+    };
+
+    const addChannelTime = (domain, channelId, time, name) => {
+        const domainChannels = stats.byChannel[domain] || (stats.byChannel[domain] = {});
+        const entry = domainChannels[channelId] || (domainChannels[channelId] = { time: 0, name: channelId });
+        entry.time += time;
+        if (name) entry.name = name;
+    };
+
+    const addMetrics = (dateKey, categoryKey, categoryUsage, includePending) => {
+        const dayMetrics = stats.byDate[dateKey].metrics;
+        for (const metric of USAGE_METRICS) {
+            let amount = categoryUsage?.[metric] || 0;
+            if (includePending) {
+                amount += storageCache.pendingMetricUpdates.get(`${categoryKey}:${metric}`) || 0;
+            }
+            if (!amount) continue;
+            if (!stats.metricsByCategory[categoryKey]) stats.metricsByCategory[categoryKey] = {};
+            stats.metricsByCategory[categoryKey][metric] = (stats.metricsByCategory[categoryKey][metric] || 0) + amount;
+            dayMetrics[metric] = (dayMetrics[metric] || 0) + amount;
+        }
     };
 
     for (const [dateKey, dayUsage] of Object.entries(usage)) {
         const date = new Date(dateKey);
         if (date >= startDate && date <= endDate) {
-            stats.byDate[dateKey] = { totalTime: 0, byCategory: {}, byDomain: {} };
+            stats.byDate[dateKey] = { totalTime: 0, byCategory: {}, byDomain: {}, metrics: {} };
 
             for (const [categoryKey, categoryUsage] of Object.entries(dayUsage)) {
                 let categoryTime = categoryUsage.totalTime || 0;
@@ -979,6 +2999,7 @@ export async function getUsageStats(startDate, endDate) {
                 stats.byDate[dateKey].byCategory[categoryKey] = categoryTime;
                 stats.byDate[dateKey].totalTime += categoryTime;
                 stats.totalTime += categoryTime;
+                addMetrics(dateKey, categoryKey, categoryUsage, dateKey === todayKey);
 
                 // Domain stats
                 if (categoryUsage.byDomain) {
@@ -996,6 +3017,13 @@ export async function getUsageStats(startDate, endDate) {
                         stats.byDate[dateKey].byDomain[domain] = (stats.byDate[dateKey].byDomain[domain] || 0) + actualDomainTime;
                     }
                 }
+
+                // Channel stats (pending channel time is added once, below)
+                for (const [domain, channels] of Object.entries(categoryUsage.byChannel || {})) {
+                    for (const [channelId, entry] of Object.entries(channels)) {
+                        addChannelTime(domain, channelId, entry.time || 0, entry.name);
+                    }
+                }
             }
 
             // Also check for pending time in categories not yet in storage for today
@@ -1007,6 +3035,7 @@ export async function getUsageStats(startDate, endDate) {
                         stats.byDate[dateKey].byCategory[categoryKey] = (stats.byDate[dateKey].byCategory[categoryKey] || 0) + pendingTime;
                         stats.byDate[dateKey].totalTime += pendingTime;
                         stats.totalTime += pendingTime;
+                        addMetrics(dateKey, categoryKey, null, true);
                     }
                 }
             }
@@ -1017,13 +3046,14 @@ export async function getUsageStats(startDate, endDate) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     if (today >= startDate && today <= endDate && !stats.byDate[todayKey] && storageCache.pendingTimeUpdates.size > 0) {
-        stats.byDate[todayKey] = { totalTime: 0, byCategory: {}, byDomain: {} };
+        stats.byDate[todayKey] = { totalTime: 0, byCategory: {}, byDomain: {}, metrics: {} };
 
         for (const [categoryKey, pendingTime] of storageCache.pendingTimeUpdates.entries()) {
             stats.byCategory[categoryKey] = (stats.byCategory[categoryKey] || 0) + pendingTime;
             stats.byDate[todayKey].byCategory[categoryKey] = pendingTime;
             stats.byDate[todayKey].totalTime += pendingTime;
             stats.totalTime += pendingTime;
+            addMetrics(todayKey, categoryKey, null, true);
         }
 
         for (const [key, pendingTime] of storageCache.pendingDomainUpdates.entries()) {
@@ -1033,6 +3063,16 @@ export async function getUsageStats(startDate, endDate) {
         }
     }
 
+    if (today >= startDate && today <= endDate) {
+        for (const [key, { seconds, name }] of storageCache.pendingChannelUpdates.entries()) {
+            const [, domain, channelId] = JSON.parse(key);
+            addChannelTime(domain, channelId, seconds, name);
+        }
+    }
+
+    stats.extensions = (await getExtensionLog())
+        .filter(entry => entry.timestamp >= startDate.getTime() && entry.timestamp <= endDate.getTime());
+
     return stats;
 }
 
@@ -1055,7 +3095,8 @@ export async function getTodayStats() {
  * Note: Call checkDateAndResetIfNeeded() before this if you need up-to-date data
  */
 export async function getWeekStats() {
-    const { start, end } = getCurrentWeekRange();
+    const settings = await getSettings();
+    const { start, end } = getCurrentWeekRange(settings.weekStartsOnMonday !== false);
     return getUsageStats(start, end);
 }
 
@@ -1081,5 +3122,5 @@ export function getPendingTimeUpdates() {
     return pending;
 }
 
-export { STORAGE_KEYS, DEFAULT_CATEGORIES, DEFAULT_SETTINGS, DATA_RETENTION_DAYS };
+export { STORAGE_KEYS, DEFAULT_CATEGORIES, DEFAULT_SETTINGS, DATA_RETENTION_DAYS, USAGE_METRICS };
 